@@ -0,0 +1,149 @@
+// =========== ANKI IMPORT ===========
+// Turn Anki exports into the same review rows as data.csv
+// - Unpack .apkg archives (zip) to reach the collection database
+// - Read revlog, cards and notes tables with sql.js
+// - Map each review onto the data.csv columns
+import { ankiConfig } from './cellconfig.js';
+import { dateToExcelSerial } from './dataModel.js';
+
+const SQL_JS_CDN = 'https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/';
+
+// Collection files inside an .apkg, newest schema first.
+// collection.anki21b is zstd-compressed and cannot be read here.
+const COLLECTION_FILES = ['collection.anki21', 'collection.anki2'];
+
+// Answer buttons in ease order
+// - The v1 scheduler shows only Again, Good and Easy for learning and relearning cards
+const BUTTONS = ['again', 'hard', 'good', 'easy'];
+const V1_LEARNING_BUTTONS = ['again', 'good', 'easy'];
+
+let sqlPromise = null;
+
+// =========== LIBRARY LOADING ===========
+// sql.js loads its wasm binary lazily, so only initialize it once
+function loadSql() {
+    if (!sqlPromise) {
+        sqlPromise = initSqlJs({ locateFile: file => `${SQL_JS_CDN}${file}` });
+    }
+    return sqlPromise;
+}
+
+// =========== ARCHIVE HANDLING ===========
+// Pull the collection database out of an .apkg archive
+// - .apkg files are plain zip archives
+// - Raw collection.anki2 files are passed through untouched
+function isZip(bytes) {
+    return bytes[0] === 0x50 && bytes[1] === 0x4b;
+}
+
+async function extractCollection(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+
+    // Newest-format archives also carry a placeholder collection.anki2
+    if (zip.file('collection.anki21b')) {
+        throw new Error('This .apkg uses the newest Anki format. Re-export it with "Support older Anki versions" checked.');
+    }
+
+    for (const name of COLLECTION_FILES) {
+        const entry = zip.file(name);
+        if (entry) return entry.async('uint8array');
+    }
+
+    throw new Error('No Anki collection found in this .apkg file.');
+}
+
+// =========== SCHEDULER VERSION ===========
+// The meaning of ease depends on the scheduler the collection was reviewed with
+// - Older schemas keep schedVer in col.conf, newer ones in the config table
+// - Collections that never recorded it use the v1 scheduler
+function readConfigValue(db, key) {
+    try {
+        const [result] = db.exec('SELECT val FROM config WHERE key = ?', [key]);
+        return result ? JSON.parse(new TextDecoder().decode(result.values[0][0])) : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+function schedulerVersion(db) {
+    const [result] = db.exec('SELECT conf FROM col');
+    const conf = result && result.values[0][0] ? JSON.parse(result.values[0][0]) : {};
+    return conf.schedVer ?? readConfigValue(db, 'schedVer') ?? 1;
+}
+
+// =========== ROW MAPPING ===========
+// Convert one revlog entry and its note into a data.csv row
+// - revlog.id is the review time in epoch milliseconds, so rows are written
+//   in UTC and tagged with it rather than following the source zone setting
+// - revlog.lastIvl is the interval before the review, cid and nid the card and note
+// - revlog.type is 0 for learning, 1 for review, 2 for relearning and 3 for filtered decks
+// - "Again" is recorded as a bad review
+// - Hard and Easy override Anki's suggested interval, so they count as disagreeing
+function answerButton(entry, schedVer) {
+    const learning = entry.type === 0 || entry.type === 2;
+    const buttons = schedVer === 1 && learning ? V1_LEARNING_BUTTONS : BUTTONS;
+    return buttons[entry.ease - 1];
+}
+
+function toReviewRow(entry, schedVer) {
+    const fields = entry.flds.split('\u001f');
+    const field = name => (fields[ankiConfig.fields[name]] || '').trim();
+    const button = answerButton(entry, schedVer);
+
+    return {
+        reviewDate: dateToExcelSerial(new Date(entry.id), 'UTC'),
+        timeZone: 'UTC',
+        score: button === 'again' ? 'bad' : 'good',
+        interval: entry.ivl,
+        reviewTime: entry.time / 1000,
+        jpn: field('jpn'),
+        partOS: field('partOS').toLowerCase(),
+        eng: field('eng'),
+        category: field('category').toUpperCase(),
+        agree: button === 'hard' || button === 'easy' ? 'no' : 'yes',
+        lastInterval: entry.lastIvl,
+        cardId: String(entry.cid),
+        noteId: String(entry.nid)
+    };
+}
+
+// Query every answered review joined to the note it belongs to
+// - ease 0 marks manual reschedules, which are not reviews
+function readReviewRows(db) {
+    const schedVer = schedulerVersion(db);
+    const statement = db.prepare(`
+        SELECT revlog.id, revlog.cid, cards.nid, revlog.ease, revlog.ivl, revlog.lastIvl,
+            revlog.time, revlog.type, notes.flds
+        FROM revlog
+        JOIN cards ON cards.id = revlog.cid
+        JOIN notes ON notes.id = cards.nid
+        WHERE revlog.ease > 0
+        ORDER BY revlog.id
+    `);
+
+    const rows = [];
+    try {
+        while (statement.step()) {
+            rows.push(toReviewRow(statement.getAsObject(), schedVer));
+        }
+    } finally {
+        statement.free();
+    }
+    return rows;
+}
+
+// =========== PUBLIC API ===========
+// Read a dropped .apkg or collection.anki2 file into review rows
+export async function importAnkiFile(file) {
+    const buffer = await file.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const collection = isZip(bytes) ? await extractCollection(buffer) : bytes;
+
+    const SQL = await loadSql();
+    const db = new SQL.Database(collection);
+    try {
+        return readReviewRows(db);
+    } finally {
+        db.close();
+    }
+}
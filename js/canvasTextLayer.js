@@ -0,0 +1,181 @@
+// =========== CANVAS TEXT LAYER ===========
+// Draw many short labels on a canvas laid over a chart's SVG
+// - Thousands of labels animate at full frame rate, where as many SVG
+//   text nodes with their own transitions stutter
+// - Works like a keyed d3 join: labels enter from a start position,
+//   move to their new position, and fade out when they leave
+// - Axes and other chart furniture stay in the SVG underneath
+// - hitTest finds the label under the pointer for tooltips and clicks
+
+export function createCanvasTextLayer(container, { width, height, margin }) {
+    const ratio = window.devicePixelRatio || 1;
+    const outerWidth = width + margin.left + margin.right;
+    const outerHeight = height + margin.top + margin.bottom;
+
+    const canvas = container
+        .append('canvas')
+        .attr('class', 'text-layer')
+        .attr('width', outerWidth * ratio)
+        .attr('height', outerHeight * ratio)
+        .style('position', 'absolute')
+        .style('top', '0')
+        .style('left', '0')
+        .style('width', `${outerWidth}px`)
+        .style('height', `${outerHeight}px`);
+
+    const context = canvas.node().getContext('2d');
+    const fontFamily = window.getComputedStyle(container.node()).fontFamily || 'sans-serif';
+
+    // Labels by key, each with the position it moves from and to
+    const labels = new Map();
+    let styleOf = () => ({});
+    let timer = null;
+
+    // =========== STYLE ===========
+    // Per-label emphasis on top of the label's own color
+    // - fontSize, fontWeight, opacity, and raise to draw it above the rest
+    function labelStyle(label) {
+        return { fontSize: 12, fontWeight: 'normal', opacity: 1, raise: false, ...styleOf(label.datum) };
+    }
+
+    function font(style) {
+        return `${style.fontWeight} ${style.fontSize}px ${fontFamily}`;
+    }
+
+    // =========== DRAWING ===========
+    function draw() {
+        if (!context) return;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, outerWidth, outerHeight);
+        context.translate(margin.left, margin.top);
+
+        const ordered = Array.from(labels.values())
+            .map(label => ({ label, style: labelStyle(label) }))
+            .sort((a, b) => a.style.raise - b.style.raise);
+
+        ordered.forEach(({ label, style }) => {
+            const { x, y, opacity } = label.current;
+            if (opacity <= 0) return;
+
+            context.globalAlpha = opacity * style.opacity;
+            context.font = font(style);
+            context.textAlign = label.to.anchor === 'middle' ? 'center' : 'left';
+            context.fillStyle = label.to.color;
+            context.fillText(label.text, x, y);
+        });
+        context.globalAlpha = 1;
+    }
+
+    // =========== ANIMATION ===========
+    // One timer moves every label, redrawing the canvas once per frame
+    // - Entering and moving labels wait for delay, leaving ones fade right away
+    function animate({ duration, delay, exitDuration }) {
+        if (timer) timer.stop();
+        const total = Math.max(delay + duration, exitDuration);
+
+        const step = elapsed => {
+            labels.forEach((label, key) => {
+                const leaving = label.exiting;
+                const start = leaving ? 0 : delay;
+                const length = leaving ? exitDuration : duration;
+                const t = length > 0 ? Math.max(0, Math.min(1, (elapsed - start) / length)) : 1;
+                const eased = d3.easeCubicInOut(t);
+
+                label.current = {
+                    x: label.from.x + (label.to.x - label.from.x) * eased,
+                    y: label.from.y + (label.to.y - label.from.y) * eased,
+                    opacity: label.from.opacity + (label.to.opacity - label.from.opacity) * eased
+                };
+                if (leaving && t === 1) labels.delete(key);
+            });
+            draw();
+        };
+
+        if (total <= 0) {
+            step(0);
+            return;
+        }
+
+        timer = d3.timer(elapsed => {
+            step(elapsed);
+            if (elapsed >= total) {
+                timer.stop();
+                timer = null;
+            }
+        });
+    }
+
+    // =========== PUBLIC API ===========
+    // - update: join data by key; target gives {x, y, color, anchor},
+    //   enterFrom the {x, y} new labels start at
+    // - style: set the per-label emphasis and redraw
+    // - hitTest: datum of the top label at a pointer event, or null
+    return {
+        node: canvas,
+
+        update(data, { key, text, target, enterFrom, duration = 0, delay = 0, exitDuration = duration }) {
+            const keys = new Set();
+
+            data.forEach(datum => {
+                const id = key(datum);
+                keys.add(id);
+                const existing = labels.get(id);
+                const from = existing
+                    ? { ...existing.current }
+                    : { ...enterFrom(datum), opacity: 0 };
+
+                labels.set(id, {
+                    datum,
+                    text: text(datum),
+                    from,
+                    current: from,
+                    to: { ...target(datum), opacity: 1 },
+                    exiting: false
+                });
+            });
+
+            labels.forEach((label, id) => {
+                if (keys.has(id)) return;
+                label.from = { ...label.current };
+                label.to = { ...label.to, x: label.current.x, y: label.current.y, opacity: 0 };
+                label.exiting = true;
+            });
+
+            animate({ duration, delay, exitDuration });
+        },
+
+        style(fn) {
+            styleOf = fn;
+            draw();
+        },
+
+        hitTest(event) {
+            if (!context) return null;
+            const [px, py] = d3.pointer(event, canvas.node());
+            const x = px - margin.left;
+            const y = py - margin.top;
+
+            // Last drawn is on top, so search from the end
+            const ordered = Array.from(labels.values())
+                .reverse()
+                .filter(label => !label.exiting && label.current.opacity > 0.5)
+                .map(label => ({ label, style: labelStyle(label) }))
+                .sort((a, b) => b.style.raise - a.style.raise);
+
+            const hit = ordered.find(({ label, style }) => {
+                context.font = font(style);
+                const textWidth = context.measureText(label.text).width;
+                const left = label.to.anchor === 'middle' ? label.current.x - textWidth / 2 : label.current.x;
+                return x >= left && x <= left + textWidth
+                    && y >= label.current.y - style.fontSize && y <= label.current.y + style.fontSize * 0.25;
+            });
+            return hit ? hit.label.datum : null;
+        },
+
+        destroy() {
+            if (timer) timer.stop();
+            timer = null;
+            canvas.remove();
+        }
+    };
+}
@@ -1,25 +1,9 @@
-// =========== CELL CONFIGURATIONS ===========
-// Define core visualization layouts and cell types
-// - Image cell mappings
-// - Chart type definitions
-// - Cell organization
-export const cellConfigs = {
-    // Image cell mappings to image files
-    images: {
-        0: 'pic1.jpeg',     // Introduction image
-        1: 'anki.png',      // Anki app screenshot
-        2: 'cat.png',       // Category visualization
-        5: 'srs.png',        // Spaced repetition system
-        8: 'done.png'       // Final slide!
-    },
-    
-    // Chart type assignments for different sections
-    charts: {
-        3: 'waffleChart',           // Word category distribution
-        4: 'stackedBar',            // Part of speech analysis
-        6: 'wordPerformanceChart',  // Review performance metrics
-        7: 'heatmap'                // Time-based review patterns
-    }
+// =========== STORY CONFIGURATION ===========
+// Define where the narrative is loaded from
+// - Steps, text and visualizations live in the story file
+// - Another story can be opened with ?story=file.json
+export const storyConfig = {
+    url: 'story.json'
 };
 
 // =========== COLOR SCHEMES ===========
@@ -35,7 +19,21 @@ export const colors = {
         'adj': '#f28e2c',           // Orange for adjectives
         'adv': '#59a14f',           // Green for adverbs
         'verbial noun': '#76b7b2',  // Teal for verbal nouns
-        'phrase': '#edc949'         // Yellow for phrases
+        'phrase': '#edc949',        // Yellow for phrases
+        'other': '#bab0ab'          // Grey for parts of speech from other decks
+    },
+
+    // Categorical colors for word categories
+    category: {
+        'DL': '#4e79a7',            // Blue for daily life
+        'PR': '#f28e2c',            // Orange for people & relationships
+        'PT': '#e15759',            // Red for places & travel
+        'AA': '#76b7b2',            // Teal for actions & activities
+        'BH': '#59a14f',            // Green for body & health
+        'TN': '#edc949',            // Yellow for time & numbers
+        'NE': '#af7aa1',            // Purple for nature & environment
+        'AC': '#ff9da7',            // Pink for abstract concepts
+        'OT': '#bab0ab'             // Grey for categories from other decks
     },
     
     // UI element colors
@@ -58,7 +56,8 @@ export const posMap = {
         'adj': 'Adjective',
         'adv': 'Adverb',
         'verbial noun': 'Verbal Noun',
-        'phrase': 'Phrase'
+        'phrase': 'Phrase',
+        'other': 'Other'
     },
     
     // Plural forms for aggregations
@@ -68,7 +67,8 @@ export const posMap = {
         'adj': 'adjectives',
         'adv': 'adverbs',
         'verbial noun': 'verbal nouns',
-        'phrase': 'phrases'
+        'phrase': 'phrases',
+        'other': 'other words'
     },
     
     // Abbreviated forms for space-constrained displays
@@ -78,7 +78,29 @@ export const posMap = {
         'adj': 'Adj',
         'adv': 'Adv',
         'verbial noun': 'V. Nouns',
-        'phrase': 'Phrases'
+        'phrase': 'Phrases',
+        'other': 'Other'
+    }
+};
+
+// =========== CARD STATE DEFINITIONS ===========
+// Define labels and colors for Anki card states
+// - New: first time the card is seen
+// - Learning/relearning: short steps before (re)graduating
+// - Review: recall of a graduated card
+export const cardStateMap = {
+    labels: {
+        'new': 'New',
+        'learning': 'Learning',
+        'review': 'Review',
+        'relearning': 'Relearning'
+    },
+
+    colors: {
+        'new': '#76b7b2',
+        'learning': '#edc949',
+        'review': '#4e79a7',
+        'relearning': '#e15759'
     }
 };
 
@@ -97,7 +119,8 @@ export const categoryMap = {
         'BH': 'Body & Health',
         'TN': 'Time & Numbers',
         'NE': 'Nature & Environment',
-        'AC': 'Abstract Concepts'
+        'AC': 'Abstract Concepts',
+        'OT': 'Other'
     },
     
     // Detailed category descriptions
@@ -109,7 +132,8 @@ export const categoryMap = {
         'BH': 'Vocab regarding health and body parts.',
         'TN': 'Expressions on time and numbers, such as dates.',
         'NE': 'Words related to nature and the environment such as animals.',
-        'AC': 'Abstract and conceptual terms that cannot be categorized.'
+        'AC': 'Abstract and conceptual terms that cannot be categorized.',
+        'OT': 'Words whose category is not one of the above, such as those from other decks.'
     },
     
     // Tooltip width configurations for different categories
@@ -121,7 +145,8 @@ export const categoryMap = {
         'BH': 220,
         'TN': 270,
         'NE': 340,
-        'AC': 325
+        'AC': 325,
+        'OT': 300
     }
 };
 
@@ -174,24 +199,73 @@ export const uiConfig = {
     dateFormat: d3.timeFormat('%B %d, %Y')
 };
 
+// =========== TIME ZONE CONFIGURATION ===========
+// Define how review timestamps are interpreted and shown
+// - Source zone the dataset's Excel serial dates were written in
+// - Default display zone for day and hour bucketing
+export const timeConfig = {
+    // data.csv serials match Anki's UTC review timestamps
+    sourceTimeZone: 'UTC',
+
+    // Reviews were done in Alberta, so show them on that clock by default
+    displayTimeZone: 'America/Edmonton'
+};
+
 // =========== MILESTONE CONFIGURATION ===========
-// Define milestone-related settings
-// - Week breakpoints
-// - Milestone descriptions
-// - Timeline markers
+// Define how timeline milestones are suggested
+// - How many to show and how far apart
+// - What counts as a burst, a category shift or a break
+// - Hand-written milestones go in the story file's waffle options
 export const milestoneConfig = {
-    // Week markers for significant events
-    weeks: [0, 1, 5, 11, 14, 17, 21, 25],
-    
-    // Milestone descriptions
-    descriptions: {
-        0: "I've separated the words learned into 8 categories. Hover for more context!",
-        1: "I started my journey in June learning 150 essential conversation phrases from Ninjapanese, a Japanese language youtuber.",
-        5: "I then went to learn about common verbs from Ninjapanese.",
-        11: "After that, I also did common adjectives!",
-        14: "School starts! I joined JCC, the Japanese conversation club where I practiced my horrible spoken Japanese.",
-        17: "There I made friends with an exchange student named Shoyo. We went to Banff in mid-October and went hiking!",
-        21: "In November, we drove to the Athabasca Glacier and Jasper.",
-        25: "As of now, I'm continuing JCC nights and started playing Animal Crossing in Japanese!"
+    // Most milestones on the timeline, including the first and last
+    maxMilestones: 8,
+
+    // Fewest weeks between two milestones
+    minSpacing: 2,
+
+    // A burst has this many times the new words of a typical week
+    burstFactor: 2,
+
+    // Fewest new words in a week for bursts and category shifts
+    minWords: 10,
+
+    // Days without reviews that count as a break
+    minGapDays: 7
+};
+
+// =========== RANKING CONFIGURATION ===========
+// Define how the word performance chart ranks words
+// - Confidence level of the intervals
+// - How strongly few reviews are pulled towards the average
+// - How quickly old reviews stop counting
+export const rankingConfig = {
+    // z-score of the confidence intervals, 1.96 for 95%
+    z: 1.96,
+
+    // Imaginary reviews at the overall success rate added to every word
+    priorStrength: 5,
+
+    // Days after which a review counts half as much as the latest one
+    halfLifeDays: 30
+};
+
+// =========== DATA SOURCE CONFIGURATION ===========
+// Define where review data is loaded from
+// - CSV or JSON exports, oldest first
+// - Overlapping reviews are merged, later sources win
+export const dataConfig = {
+    sources: ['data.csv']
+};
+
+// =========== ANKI IMPORT CONFIGURATION ===========
+// Define how Anki notes map onto dataset columns
+// - Field positions in the note type (fields are split on \u001f)
+// - Matches the note layout used to build data.csv
+export const ankiConfig = {
+    fields: {
+        jpn: 0,
+        partOS: 1,
+        eng: 2,
+        category: 3
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,111 @@
+// =========== CHART LIFECYCLE ===========
+// Give every step's content the same mount/update/resize/destroy handle
+// - Charts stay plain create functions that draw into a container and may
+//   return a cleanup function for anything they add outside it
+// - Each mounted chart gets its own root, so the outgoing and incoming
+//   charts can cross-fade while the step changes
+// - State reported through onStateChange is kept and handed back on redraw
+// - config holds the step's chart options from the story file
+import { uiConfig } from './cellconfig.js';
+
+export function mountChart(create, visContainer, data, { state = {}, onStateChange = () => {}, config = {} } = {}) {
+    let currentData = data;
+    let currentState = state;
+    let cleanup = null;
+    let lastProgress = null;
+    let destroyed = false;
+
+    const root = visContainer
+        .append('div')
+        .attr('class', 'chart-root');
+
+    // =========== RENDERING ===========
+    // Tear down the previous drawing and draw again from the kept data and state
+    // - Scroll progress is replayed so scrubbed charts resume where they were
+    function teardown() {
+        if (typeof cleanup === 'function') cleanup();
+        cleanup = null;
+        root.on('.chart', null);
+        root.selectAll('*').interrupt();
+        root.selectAll('*').remove();
+    }
+
+    function render() {
+        teardown();
+        cleanup = create(root, currentData, {
+            state: currentState,
+            config,
+            onStateChange: newState => {
+                currentState = newState;
+                onStateChange(newState);
+            }
+        });
+        if (lastProgress !== null) dispatch('stepprogress', { progress: lastProgress });
+    }
+
+    // =========== STEP EVENTS ===========
+    // Forward story events to the chart's root
+    // - Returns true when the chart called preventDefault()
+    function dispatch(type, detail = {}) {
+        if (destroyed) return false;
+        if (type === 'stepprogress') lastProgress = detail.progress;
+
+        const event = new CustomEvent(type, { cancelable: true, detail });
+        return !root.node().dispatchEvent(event);
+    }
+
+    // =========== PUBLIC API ===========
+    // - update: redraw with new data, and optionally new state
+    // - resize: redraw at the current window size
+    // - destroy: remove listeners, tooltips and the root, fading out if asked
+    const chart = {
+        dispatch,
+
+        update(newData = currentData, newState = currentState) {
+            if (destroyed) return chart;
+            currentData = newData;
+            currentState = newState;
+            render();
+            return chart;
+        },
+
+        resize() {
+            if (destroyed) return chart;
+            render();
+            return chart;
+        },
+
+        destroy({ animate = false } = {}) {
+            if (destroyed) return chart;
+            destroyed = true;
+
+            if (typeof cleanup === 'function') cleanup();
+            cleanup = null;
+            root.on('.chart', null)
+                .classed('chart-exiting', true)
+                .interrupt();
+
+            if (animate) {
+                root.transition()
+                    .duration(uiConfig.transitions.duration)
+                    .style('opacity', 0)
+                    .style('transform', 'translateY(-20px)')
+                    .remove();
+            } else {
+                root.remove();
+            }
+            return chart;
+        }
+    };
+
+    // Mount, sliding the new chart in underneath the outgoing one
+    render();
+    root.style('opacity', 0)
+        .style('transform', 'translateY(20px)')
+        .transition()
+        .duration(uiConfig.transitions.duration)
+        .style('opacity', 1)
+        .style('transform', 'translateY(0px)');
+
+    return chart;
+}
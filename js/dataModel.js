@@ -0,0 +1,222 @@
+// =========== REVIEW DATA MODEL ===========
+// Turn raw dataset rows into the objects every chart consumes
+// - Convert Excel serial dates in one place
+// - Normalize score, agree and word fields
+// - Group reviews under the word they belong to
+import { getSourceTimeZone, getDisplayTimeZone, wallTimeToDate, dateToWallTime, dayKey } from './timeZones.js';
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 86400 * 1000;
+
+/**
+ * @typedef {Object} Review
+ * @property {Date} date - When the review happened
+ * @property {number} interval - Anki interval after the review (negative values are seconds)
+ * @property {number} intervalDays - The same interval in days
+ * @property {?number} lastInterval - Interval before the review, when the export records it
+ * @property {'new'|'learning'|'review'|'relearning'} state - Card state when the review happened
+ * @property {number} reviewTime - Seconds spent answering
+ * @property {'good'|'bad'} score
+ * @property {'yes'|'no'} agree - Whether the suggested next interval was accepted
+ * @property {string} jpn
+ * @property {string} eng
+ * @property {string} partOS
+ * @property {string} category
+ * @property {?string} cardId - Anki card reviewed, when the export records it
+ * @property {?string} noteId - Anki note the card belongs to, when the export records it
+ * @property {Word} word - The word this review belongs to
+ */
+
+/**
+ * @typedef {Object} Word
+ * @property {string} key - Identity of the word, its Japanese text
+ * @property {string} jpn
+ * @property {string} eng
+ * @property {string} partOS
+ * @property {string} category
+ * @property {Date} firstReview
+ * @property {number} goodReviews
+ * @property {number} badReviews
+ * @property {Review[]} reviews - Sorted oldest first
+ */
+
+// =========== DATE CONVERSION ===========
+// Excel serials count days (with a fractional time of day) since 1899-12-30
+// - Serials are wall-clock readings, so they need the zone they were written in
+export function excelSerialToDate(serial, timeZone = getSourceTimeZone()) {
+    return wallTimeToDate((Number(serial) - EXCEL_EPOCH_OFFSET) * MS_PER_DAY, timeZone);
+}
+
+export function dateToExcelSerial(date, timeZone = getSourceTimeZone()) {
+    return dateToWallTime(date, timeZone) / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+}
+
+// A row's review time
+// - Rows may name the zone their reviewDate was written in, as Anki imports do;
+//   the rest were written in the source zone
+export function rowDate(row) {
+    return excelSerialToDate(row.reviewDate, row.timeZone || getSourceTimeZone());
+}
+
+// =========== FIELD NORMALIZATION ===========
+// Clean up the free-text columns so charts can compare them directly
+function normalizeScore(value) {
+    return String(value).trim().toLowerCase() === 'bad' ? 'bad' : 'good';
+}
+
+function normalizeAgree(value) {
+    return String(value).trim().toLowerCase().startsWith('n') ? 'no' : 'yes';
+}
+
+// Columns only some exports have, such as Anki imports
+function optionalText(value) {
+    const text = String(value ?? '').trim();
+    return text === '' ? null : text;
+}
+
+function optionalNumber(value) {
+    const text = optionalText(value);
+    return text === null || isNaN(Number(text)) ? null : Number(text);
+}
+
+function toReview(row) {
+    return {
+        date: rowDate(row),
+        interval: Number(row.interval),
+        intervalDays: intervalToDays(Number(row.interval)),
+        lastInterval: optionalNumber(row.lastInterval),
+        reviewTime: Number(row.reviewTime),
+        score: normalizeScore(row.score),
+        agree: normalizeAgree(row.agree),
+        jpn: String(row.jpn).trim(),
+        eng: String(row.eng).trim(),
+        partOS: String(row.partOS).trim().toLowerCase(),
+        category: String(row.category).trim().toUpperCase(),
+        cardId: optionalText(row.cardId),
+        noteId: optionalText(row.noteId)
+    };
+}
+
+// =========== CARD STATES ===========
+// Anki logs the interval set by each review
+// - Negative intervals are learning steps in seconds, positive ones are days
+// - A review's state comes from the interval before it: the recorded
+//   lastInterval, or else the interval set by the card's previous review
+// - A card's first review is only new when nothing shows it was answered before;
+//   exports can start partway through a card's history
+// - Learning steps after a card has graduated are relearning
+export function intervalToDays(interval) {
+    return interval > 0 ? interval : Math.abs(interval) / 86400;
+}
+
+// Describe an interval in days, showing learning steps in minutes
+export function formatInterval(days) {
+    if (days >= 1) return `${Math.round(days)} day${Math.round(days) === 1 ? '' : 's'}`;
+    return `${Math.round(days * 1440)} min`;
+}
+
+// State the word's most recently reviewed card is left in
+// - Graduated cards stay in review until they lapse into relearning
+export function cardStateAfter(word) {
+    const last = word.reviews[word.reviews.length - 1];
+    if (last.interval > 0) return 'review';
+    return word.reviews.some(d => d.cardId === last.cardId && (d.interval > 0 || d.lastInterval > 0))
+        ? 'relearning'
+        : 'learning';
+}
+
+// Classify the reviews of one card, oldest first
+function classifyCardReviews(reviews) {
+    let previous = null;
+    let graduated = false;
+
+    reviews.forEach(review => {
+        const before = review.lastInterval ?? (previous ? previous.interval : null);
+
+        if (review.lastInterval === 0 || (before === null && review.interval <= 0)) {
+            review.state = 'new';
+        } else if (before === null || before > 0) {
+            review.state = 'review';
+        } else {
+            review.state = graduated ? 'relearning' : 'learning';
+        }
+
+        graduated = graduated || before > 0 || review.interval > 0;
+        previous = review;
+    });
+}
+
+// Cards are classified separately, so words with several cards keep apart their histories
+// - Reviews without a recorded card count as one card
+// - When a word has exactly one recorded card, reviews without one
+//   (such as those from data.csv) belong to it
+function classifyReviews(reviews) {
+    const cardIds = new Set(reviews.map(d => d.cardId).filter(d => d !== null));
+    const onlyCard = cardIds.size === 1 ? Array.from(cardIds)[0] : null;
+    d3.group(reviews, d => d.cardId ?? onlyCard).forEach(classifyCardReviews);
+}
+
+// =========== PUBLIC API ===========
+// Build reviews and words from rows shaped like data.csv
+// - Reviews come back in chronological order
+// - Words are identified by their Japanese text, so CSV and Anki exports of
+//   the same word combine
+// - Word details are taken from the word's first review
+// - Each review is tagged with the card state it was answered in
+export function buildReviewData(rows) {
+    const reviews = rows.map(toReview)
+        .sort((a, b) => a.date - b.date);
+
+    const wordsByKey = new Map();
+    reviews.forEach(review => {
+        const key = review.jpn;
+        if (!wordsByKey.has(key)) {
+            wordsByKey.set(key, {
+                key,
+                jpn: review.jpn,
+                eng: review.eng,
+                partOS: review.partOS,
+                category: review.category,
+                firstReview: review.date,
+                goodReviews: 0,
+                badReviews: 0,
+                reviews: []
+            });
+        }
+
+        const word = wordsByKey.get(key);
+        review.score === 'good' ? word.goodReviews++ : word.badReviews++;
+        word.reviews.push(review);
+        review.word = word;
+    });
+
+    const words = Array.from(wordsByKey.values());
+    words.forEach(word => classifyReviews(word.reviews));
+
+    return { reviews, words };
+}
+
+// =========== WEEK NUMBERING ===========
+// Number weeks from the day of the earliest first review, for charts that grow over time
+// - Weeks are counted in display-zone calendar days, like every other date bucket
+// - weekOf gives the week a date falls in, so a word belongs to the week
+//   it was first reviewed in
+// - weekStart gives the display-zone midnight a week begins at
+// - Every word falls before week weekCount
+function dayNumber(date) {
+    return Date.parse(dayKey(date)) / MS_PER_DAY;
+}
+
+export function firstReviewWeeks(words) {
+    const days = words.map(d => dayNumber(d.firstReview));
+    const [firstDay, lastDay] = d3.extent(days);
+    const weekOf = date => Math.floor((dayNumber(date) - firstDay) / 7);
+    const weekStart = week => wallTimeToDate((firstDay + week * 7) * MS_PER_DAY, getDisplayTimeZone());
+
+    return {
+        weekCount: words.length ? Math.floor((lastDay - firstDay) / 7) + 1 : 0,
+        weekOf,
+        weekStart
+    };
+}
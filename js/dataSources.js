@@ -0,0 +1,120 @@
+// =========== DATA SOURCES ===========
+// Load and combine review exports from several places
+// - URLs and dropped files, as CSV, JSON or Anki collections
+// - Validate each source on its own so line numbers stay meaningful
+// - Merge overlapping exports by review time and word, and report conflicts
+import { importAnkiFile } from './ankiImport.js';
+import { validateRows } from './dataValidation.js';
+import { rowDate } from './dataModel.js';
+
+// Columns compared when two sources contain the same review
+const COMPARED_COLUMNS = ['score', 'interval', 'reviewTime', 'partOS', 'eng', 'category', 'agree'];
+
+// Largest gap between two sources' times for the same review
+// - CSV serials keep 5 decimals, a little under a second
+const MATCH_TOLERANCE_MS = 1000;
+
+// =========== SOURCE LOADING ===========
+// Read one source into rows shaped like data.csv
+// - Strings are fetched as URLs, anything else is treated as a File
+// - JSON sources hold an array of row objects
+function extensionOf(name) {
+    const match = /\.([a-z0-9]+)$/i.exec(name.split(/[?#]/)[0]);
+    return match ? match[1].toLowerCase() : '';
+}
+
+async function loadSource(source) {
+    if (typeof source === 'string') {
+        const rows = extensionOf(source) === 'json'
+            ? await d3.json(source)
+            : await d3.csv(source);
+        return { name: source, rows };
+    }
+
+    const extension = extensionOf(source.name);
+    if (extension === 'csv') {
+        return { name: source.name, rows: d3.csvParse(await source.text()) };
+    }
+    if (extension === 'json') {
+        return { name: source.name, rows: JSON.parse(await source.text()) };
+    }
+    return { name: source.name, rows: await importAnkiFile(source) };
+}
+
+// =========== MERGING ===========
+// Combine validated rows from every source
+// - The same review is the same word at nearly the same time in another source
+// - Rows of one source are never merged with each other, since a word can
+//   really be reviewed twice in a second
+// - Later sources win, since newer exports supersede older ones
+// - Differing duplicates are returned as conflicts
+function normalized(value) {
+    return String(value ?? '').trim().toLowerCase();
+}
+
+export function mergeRows(sources) {
+    const merged = [];
+    const byWord = new Map();
+    const conflicts = [];
+
+    sources.forEach(({ name, rows }, sourceIndex) => {
+        const matched = new Set();
+
+        rows.forEach(row => {
+            const jpn = String(row.jpn).trim();
+            const time = rowDate(row).getTime();
+            if (!byWord.has(jpn)) byWord.set(jpn, []);
+
+            const existing = d3.least(
+                byWord.get(jpn).filter(entry => entry.sourceIndex < sourceIndex
+                    && !matched.has(entry)
+                    && Math.abs(entry.time - time) <= MATCH_TOLERANCE_MS),
+                entry => Math.abs(entry.time - time)
+            );
+
+            if (!existing) {
+                const entry = { name, row, time, sourceIndex };
+                merged.push(entry);
+                byWord.get(jpn).push(entry);
+                return;
+            }
+
+            const fields = COMPARED_COLUMNS
+                .filter(column => normalized(existing.row[column]) !== normalized(row[column]))
+                .map(column => ({ column, previous: existing.row[column], kept: row[column] }));
+
+            if (fields.length) {
+                conflicts.push({
+                    jpn: row.jpn,
+                    reviewDate: row.reviewDate,
+                    timeZone: row.timeZone,
+                    previousSource: existing.name,
+                    keptSource: name,
+                    fields
+                });
+            }
+
+            Object.assign(existing, { name, row, time, sourceIndex });
+            matched.add(existing);
+        });
+    });
+
+    return {
+        rows: merged.map(d => d.row),
+        conflicts
+    };
+}
+
+// =========== PUBLIC API ===========
+// Load every source, validate each one and merge the results
+// - Sources are listed oldest export first
+export async function loadReviewSources(sources) {
+    const loaded = await Promise.all(sources.map(loadSource));
+    const reports = loaded.map(({ name, rows }) => validateRows(rows, name));
+
+    const { rows, conflicts } = mergeRows(
+        reports.map(report => ({ name: report.source, rows: report.validRows }))
+    );
+
+    return { rows, reports, conflicts };
+}
@@ -0,0 +1,197 @@
+// =========== DATA VALIDATION ===========
+// Check dataset rows before they reach the data model
+// - Verify every row against the expected columns
+// - Exclude rows that charts would misplace or drop
+// - Count unknown parts of speech and categories as other, with a warning
+// - Show a dismissible report of what was excluded or replaced
+import { posMap, categoryMap } from './cellconfig.js';
+import { rowDate } from './dataModel.js';
+import { formatDate } from './timeZones.js';
+
+export const expectedColumns = [
+    'reviewDate', 'score', 'interval', 'reviewTime', 'jpn', 'partOS', 'eng', 'category', 'agree'
+];
+
+const MAX_LISTED_ISSUES = 100;
+
+// =========== VALIDATION RULES ===========
+// Each rule returns an error message, or nothing when the value is fine
+// - Text values are compared the way the data model normalizes them
+// - eng is free text, so it has no rule
+// - partOS and category are checked separately, see FALLBACKS
+function isNumeric(value) {
+    return value !== undefined && String(value).trim() !== '' && !isNaN(Number(value));
+}
+
+function clean(value) {
+    return String(value ?? '').trim().toLowerCase();
+}
+
+const rules = {
+    reviewDate: value => isNumeric(value) && Number(value) > 0
+        ? null : `reviewDate "${value}" is not an Excel serial date`,
+    score: value => ['good', 'bad'].includes(clean(value))
+        ? null : `score "${value}" must be good or bad`,
+    interval: value => isNumeric(value)
+        ? null : `interval "${value}" is not a number`,
+    reviewTime: value => isNumeric(value) && Number(value) >= 0
+        ? null : `reviewTime "${value}" is not a positive number`,
+    jpn: value => clean(value) !== ''
+        ? null : 'jpn is blank',
+    agree: value => ['yes', 'no'].includes(clean(value))
+        ? null : `agree "${value}" must be yes or no`
+};
+
+// =========== FALLBACKS ===========
+// Decks other than this one use their own parts of speech and categories
+// - Such rows are kept and counted as other, so every deck can be imported
+const FALLBACKS = {
+    partOS: {
+        known: value => Object.hasOwn(posMap.labels, clean(value)),
+        other: 'other',
+        message: value => `partOS "${value}" is not a known part of speech`
+    },
+    category: {
+        known: value => Object.hasOwn(categoryMap.names, clean(value).toUpperCase()),
+        other: 'OT',
+        message: value => value ? `category "${value}" is not a known category code` : 'category is blank'
+    }
+};
+
+// =========== LINE TRACKING ===========
+// Quoted glosses may contain line breaks, so a CSV record can span several lines
+// - Header occupies line 1
+function countLineBreaks(row) {
+    return Object.values(row)
+        .reduce((acc, value) => acc + (String(value ?? '').match(/\n/g) || []).length, 0);
+}
+
+// =========== PUBLIC API ===========
+// Validate rows shaped like data.csv
+// - CSV rows (with a columns property) report file line numbers
+// - Other rows report their position in the list
+export function validateRows(rows, source = 'data.csv') {
+    const isCsv = Array.isArray(rows.columns);
+    const issues = [];
+    const validRows = [];
+    let replacedCount = 0;
+
+    // Missing columns make every row unusable
+    const missingColumns = isCsv
+        ? expectedColumns.filter(column => !rows.columns.includes(column))
+        : [];
+    if (missingColumns.length) {
+        issues.push({ line: 1, message: `missing column(s): ${missingColumns.join(', ')}` });
+        return { source, lineLabel: 'Line', rows: rows.length, validRows, issues, excludedCount: rows.length, replacedCount };
+    }
+
+    let line = 2;
+    rows.forEach((row, i) => {
+        const rowLine = isCsv ? line : i + 1;
+        const messages = Object.entries(rules)
+            .map(([column, rule]) => rule(row[column]))
+            .filter(Boolean);
+
+        if (messages.length) {
+            messages.forEach(message => issues.push({ line: rowLine, message }));
+        } else {
+            const validRow = { ...row };
+            Object.entries(FALLBACKS).forEach(([column, fallback]) => {
+                if (fallback.known(row[column])) return;
+                validRow[column] = fallback.other;
+                replacedCount++;
+                issues.push({ line: rowLine, message: `${fallback.message(row[column])}, counted as Other`, warning: true });
+            });
+            validRows.push(validRow);
+        }
+
+        if (isCsv) line += 1 + countLineBreaks(row);
+    });
+
+    return {
+        source,
+        lineLabel: isCsv ? 'Line' : 'Row',
+        rows: rows.length,
+        validRows,
+        issues,
+        excludedCount: rows.length - validRows.length,
+        replacedCount
+    };
+}
+
+// =========== REPORT PANEL ===========
+// Show a dismissible summary of excluded rows and merge conflicts
+// - Accepts one report per source
+// - Replaces any previous report
+// - Nothing is shown when every row passed and no sources disagreed
+export function showValidationReport(reports, conflicts = []) {
+    d3.selectAll('.data-report').remove();
+
+    const issues = reports.flatMap(report => report.issues.map(issue => ({
+        ...issue,
+        location: reports.length > 1
+            ? `${report.source} ${report.lineLabel.toLowerCase()} ${issue.line}`
+            : `${report.lineLabel} ${issue.line}`
+    })));
+    if (!issues.length && !conflicts.length) return;
+
+    const totalRows = d3.sum(reports, d => d.rows);
+    const excludedCount = d3.sum(reports, d => d.excludedCount);
+    const replacedCount = d3.sum(reports, d => d.replacedCount);
+    const sourceNames = reports.map(d => d.source).join(', ');
+
+    const panel = d3.select('body')
+        .append('div')
+        .attr('class', 'data-report');
+
+    const header = panel.append('div')
+        .attr('class', 'data-report-header');
+
+    header.append('strong')
+        .text(`Data quality: ${excludedCount} of ${totalRows} rows excluded from ${sourceNames}`
+            + (replacedCount ? `, ${replacedCount} values counted as Other` : ''));
+
+    header.append('button')
+        .attr('class', 'data-report-close')
+        .attr('aria-label', 'Dismiss report')
+        .html('&times;')
+        .on('click', () => panel.remove());
+
+    if (issues.length) {
+        const list = panel.append('ul');
+
+        list.selectAll('li')
+            .data(issues.slice(0, MAX_LISTED_ISSUES))
+            .join('li')
+            .attr('class', d => d.warning ? 'data-report-warning' : null)
+            .text(d => `${d.location}: ${d.message}`);
+
+        if (issues.length > MAX_LISTED_ISSUES) {
+            list.append('li')
+                .attr('class', 'data-report-more')
+                .text(`...and ${issues.length - MAX_LISTED_ISSUES} more issues`);
+        }
+    }
+
+    // Overlapping exports that disagree about the same review
+    if (conflicts.length) {
+        panel.append('div')
+            .attr('class', 'data-report-section')
+            .text(`${conflicts.length} overlapping reviews disagreed (the later source was kept):`);
+
+        const list = panel.append('ul');
+
+        list.selectAll('li')
+            .data(conflicts.slice(0, MAX_LISTED_ISSUES))
+            .join('li')
+            .text(d => `${d.jpn} on ${formatDate(rowDate(d))}: ${d.fields
+                .map(f => `${f.column} "${f.previous}" (${d.previousSource}) → "${f.kept}" (${d.keptSource})`)
+                .join(', ')}`);
+
+        if (conflicts.length > MAX_LISTED_ISSUES) {
+            list.append('li')
+                .attr('class', 'data-report-more')
+                .text(`...and ${conflicts.length - MAX_LISTED_ISSUES} more conflicts`);
+        }
+    }
+}
@@ -1,9 +1,13 @@
 // =========== IMPORTS & SETUP ===========
 
 // bring in our configuration and styling
-import { colors, posMap, categoryMap, legendConfig, uiConfig } from './cellconfig.js';
+import { colors, posMap, categoryMap, cardStateMap, legendConfig, uiConfig } from './cellconfig.js';
+import { dayKey, hourOf } from './timeZones.js';
+import { formatInterval } from './dataModel.js';
+import { showWordDetail } from './wordDetail.js';
+import { createStepMachine, bindStoryEvents } from './stepMachine.js';
 
-export function createHeatmap(visContainer, rawData) {
+export function createHeatmap(visContainer, reviewData, { state = {}, onStateChange = () => {} } = {}) {
     // =========== CONSTANTS & CONFIG ===========
     
     // setup our dimensions and spacing
@@ -33,37 +37,29 @@ export function createHeatmap(visContainer, rawData) {
         return '#000000';
     }
     
+    // drill-down views in the order the toggle button cycles through them
+    const viewTypes = ['goodbad', 'agreement', 'reviewtime'];
+    
     // date formatting helpers
     const formatMonth = d3.timeFormat('%B');
     const formatWeekday = d3.timeFormat('%a');
     
     // =========== DATA PROCESSING ===========
     
-    // organize our raw data into useful structures
+    // organize our reviews into useful structures
     // - create map of reviews by date for the calendar
-    // - create array of word reviews with all details
+    // - keep every review with its word details for the drill-down
+    // - days are keyed in the display time zone
     const reviewsByDate = new Map();
-    const wordReviews = [];
+    const wordReviews = reviewData.reviews;
     
-    rawData.forEach(d => {
-        const date = new Date((d.reviewDate - 25569) * 86400 * 1000);
-        const dateKey = d3.timeFormat('%Y-%m-%d')(date);
+    wordReviews.forEach(d => {
+        const dateKey = dayKey(d.date);
         
         if (!reviewsByDate.has(dateKey)) {
-            reviewsByDate.set(dateKey, { date, count: 0 });
+            reviewsByDate.set(dateKey, { date: d.date, count: 0 });
         }
         reviewsByDate.get(dateKey).count++;
-        
-        wordReviews.push({
-            word: d.jpn,
-            english: d.eng,
-            date: date,
-            score: d.score,
-            reviewTime: +d.reviewTime,
-            partOS: d.partOS,
-            category: d.category,
-            agree: d.agree
-        });
     });
     
     // =========== VISUALIZATION SETUP ===========
@@ -247,6 +243,7 @@ export function createHeatmap(visContainer, rawData) {
     // - colors cells based on review count
     function renderCalendars() {
         svg.selectAll('.word-performance').remove();
+        onStateChange({});
         
         const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
         
@@ -316,7 +313,7 @@ export function createHeatmap(visContainer, rawData) {
                         .on('mouseout', () => tooltip.style('visibility', 'hidden'))
                         .on('click', () => {
                             if (reviewCount > 0) {
-                                transitionToWordView(date);
+                                drillInto(date);
                             }
                         });
 
@@ -344,13 +341,13 @@ export function createHeatmap(visContainer, rawData) {
         svg.selectAll('.word-performance').remove();
         
         // filter to selected date's words
+        // - selectedDate is a calendar day, reviews are matched in the display zone
         const dateStr = d3.timeFormat('%Y-%m-%d')(selectedDate);
-        const dayWords = wordReviews.filter(w => 
-            d3.timeFormat('%Y-%m-%d')(w.date) === dateStr
-        );
+        const dayWords = wordReviews.filter(w => dayKey(w.date) === dateStr);
+        onStateChange({ date: dateStr, view: viewType });
 
         // setup time scales and ranges
-        const hourlyGroups = d3.group(dayWords, d => d.date.getHours());
+        const hourlyGroups = d3.group(dayWords, d => hourOf(d.date));
         const activeHours = Array.from(hourlyGroups.keys()).map(Number).sort((a, b) => a - b);
         const hourRange = viewType === 'reviewtime' 
             ? [Math.max(0, Math.min(...activeHours) - 1), Math.min(23, Math.max(...activeHours) + 1)]
@@ -488,8 +485,7 @@ export function createHeatmap(visContainer, rawData) {
                 .flatMap(([hour, words]) => 
                     words.map(w => ({
                         ...w,
-                        hour: +hour,
-                        reviewTime: +w.reviewTime
+                        hour: +hour
                     }))
                 );
 
@@ -527,6 +523,8 @@ export function createHeatmap(visContainer, rawData) {
                 .attr('r', 4)
                 .style('fill', d => d.score === 'good' ? '#59a14f' : '#e15759')
                 .style('opacity', 0.6)
+                .style('cursor', 'pointer')
+                .on('click', (event, d) => showWordDetail(d.word))
                 .on('mouseover', (event, d) => {
                     tooltip.selectAll('*').remove();
                     tooltip
@@ -534,9 +532,11 @@ export function createHeatmap(visContainer, rawData) {
                         .style('left', (event.pageX + 10) + 'px')
                         .style('top', (event.pageY - 10) + 'px')
                         .html(`
-                            Word: ${d.word} (${d.english})<br/>
+                            Word: ${d.jpn} (${d.eng})<br/>
                             Type of Word: ${d.partOS} (${categoryMap.names[d.category]})<br/>
                             Review Time: ${d.reviewTime}s<br/>
+                            Card State: ${cardStateMap.labels[d.state]}<br/>
+                            Next Interval: ${formatInterval(d.intervalDays)}<br/>
                             Result: ${d.score}
                         `);
                 })
@@ -634,7 +634,7 @@ export function createHeatmap(visContainer, rawData) {
             toggleButton.select('text')
                 .text(buttonText);
     
-            renderWordPerformance(selectedDate, currentView);
+            machine.goTo(viewTypes.indexOf(currentView) + 1);
         });
     
         // create reset button
@@ -664,27 +664,51 @@ export function createHeatmap(visContainer, rawData) {
                 .style('opacity', 0)
                 .remove();
     
-            renderCalendars();
+            machine.goTo(0);
         });
     }
 
-    // =========== VIEW TRANSITIONS ===========
+    // =========== VIEW STEPS ===========
+
+    // the calendar, then one step per drill-down view of the drilled day
+    // - the drilled day is the busiest one until the reader clicks another
+    // - presentation mode steps from the calendar through each view,
+    //   and back out again in reverse
+    const busiest = d3.greatest(reviewsByDate, ([, d]) => d.count);
+    let drilledDate = busiest ? d3.timeParse('%Y-%m-%d')(busiest[0]) : null;
+
+    const machine = createStepMachine([
+        { enter: () => renderCalendars() },
+        ...(drilledDate ? viewTypes : []).map(view => ({
+            enter: () => renderWordPerformance(drilledDate, view)
+        }))
+    ], { jump: true });
 
     // handle transition from calendar to word view
-    function transitionToWordView(date) {
+    function drillInto(date) {
         svg.selectAll('.month')
             .transition()
             .duration(750)
             .style('opacity', 0)
             .remove();
         
-        renderWordPerformance(date);
+        drilledDate = date;
+        machine.goTo(1);
     }
 
     // =========== INITIALIZATION & CLEANUP ===========
     
-    // start with calendar view
-    renderCalendars();
+    // start with calendar view, or the linked date and view
+    const linkedDate = reviewsByDate.has(state.date) ? d3.timeParse('%Y-%m-%d')(state.date) : null;
+    if (linkedDate) {
+        drilledDate = linkedDate;
+        machine.goTo(viewTypes.includes(state.view) ? viewTypes.indexOf(state.view) + 1 : 1);
+    } else {
+        machine.goTo(0);
+    }
+    
+    // story keys move between the steps, scrolling leaves them alone
+    bindStoryEvents(visContainer, machine, { progressToIndex: null });
     
     // return cleanup function
     return () => {
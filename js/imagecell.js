@@ -4,7 +4,7 @@
 // - Maintain consistent container structure
 // - Apply standard styling
 
-export function createImageCell(visContainer, imageName) {
+export function createImageCell(visContainer, imageName, altText = 'Visualization Image') {
     // =========== CONTAINER SETUP ===========
     // Create container with consistent styling
     // - Add proper class for styling
@@ -28,7 +28,7 @@ export function createImageCell(visContainer, imageName) {
     contentContainer
         .append('img')
         .attr('src', `./images/${imageName}`)
-        .attr('alt', 'Visualization Image')
+        .attr('alt', altText)
         .style('max-width', '90%')
         .style('max-height', '90%')
         .style('object-fit', 'contain');
@@ -4,68 +4,298 @@
 // - Configuration objects
 // - Helper functions
 import { createImageCell } from './imagecell.js';
-import { cellConfigs } from './cellconfig.js';
+import { dataConfig } from './cellconfig.js';
 import { createWaffleChart } from './waffleChart.js';
 import { createStackedBarChart } from './stackedBarChart.js';
+import { createStackedAreaChart } from './stackedAreaChart.js';
 import { createWordPerformanceChart } from './wordPerformanceChart.js';
 import { createHeatmap } from './heatmap.js';
+import { buildReviewData } from './dataModel.js';
+import { showValidationReport } from './dataValidation.js';
+import { loadReviewSources } from './dataSources.js';
+import { readStoryLocation, writeStoryLocation } from './storyLocation.js';
+import { setupPresentationMode } from './presentation.js';
+import { mountChart } from './chartLifecycle.js';
+import { storyUrl, loadStory, renderStory, stepIndex } from './story.js';
+import { computeStoryStats } from './storyStats.js';
+import { hideWordDetail } from './wordDetail.js';
+import {
+    listTimeZones,
+    getSourceTimeZone,
+    setSourceTimeZone,
+    getDisplayTimeZone,
+    setDisplayTimeZone
+} from './timeZones.js';
 
 // =========== VISUALIZATION MANAGER ===========
-// Handle visualization updates and transitions
-// - Clear existing content
-// - Create new visualization based on index
-// - Handle both image and chart content
-function updateVis(index, data) {
-    // Clear existing content
+// Mount the content for a story step
+// - Pick the image or chart the step asks for
+// - Return its lifecycle handle so the caller can update or destroy it
+// - Pass the step's chart options, linked chart state and state changes
+const chartCreators = {
+    waffleChart: createWaffleChart,
+    stackedBar: createStackedBarChart,
+    stackedArea: createStackedAreaChart,
+    wordPerformanceChart: createWordPerformanceChart,
+    heatmap: createHeatmap
+};
+
+function updateVis(step, data, options = {}) {
     const visContainer = d3.select('#vis');
-    visContainer.selectAll('*').remove();
+    const vis = step.vis;
+    if (!vis) return null;
 
     // Handle image cells
-    if (cellConfigs.images[index]) {
-        createImageCell(visContainer, cellConfigs.images[index]);
-        return;
+    if (vis.type === 'image') {
+        return mountChart(container => createImageCell(container, vis.src, vis.alt), visContainer, data);
     }
 
     // Handle chart cells
-    if (cellConfigs.charts[index]) {
-        // Create appropriate visualization based on config
-        switch (cellConfigs.charts[index]) {
-            case 'waffleChart':
-                createWaffleChart(visContainer, data);
-                break;
-            case 'stackedBar':
-                createStackedBarChart(visContainer, data);
-                break;
-            case 'wordPerformanceChart':
-                createWordPerformanceChart(visContainer, data);
-                break;
-            case 'heatmap':
-                createHeatmap(visContainer, data);
-                break;
-        }
+    return mountChart(chartCreators[vis.type], visContainer, data, { ...options, config: vis.options || {} });
+}
+
+// =========== FILE IMPORT ===========
+// Accept review exports dropped anywhere on the page
+// - Show an overlay while files are dragged over the window
+// - Several files can be dropped at once and are merged
+// - Hand the files back so the story can reload and redraw
+function setupFileDrop(onFiles) {
+    const overlay = d3.select('body')
+        .append('div')
+        .attr('class', 'drop-overlay');
+
+    const defaultText = 'Drop Anki .apkg / collection.anki2 files or CSV / JSON exports';
+    let dragDepth = 0;
+
+    function hideOverlay() {
+        dragDepth = 0;
+        overlay.classed('visible', false);
     }
+
+    d3.select(window)
+        .on('dragenter.import', event => {
+            event.preventDefault();
+            dragDepth++;
+            overlay.text(defaultText).classed('visible', true);
+        })
+        .on('dragover.import', event => event.preventDefault())
+        .on('dragleave.import', () => {
+            if (--dragDepth <= 0) hideOverlay();
+        })
+        .on('drop.import', event => {
+            event.preventDefault();
+            const files = Array.from(event.dataTransfer.files);
+            if (!files.length) {
+                hideOverlay();
+                return;
+            }
+
+            overlay.text(`Reading ${files.map(file => file.name).join(', ')}...`);
+            onFiles(files)
+                .then(hideOverlay)
+                .catch(error => {
+                    overlay.text(error.message);
+                    setTimeout(hideOverlay, 3000);
+                });
+        });
+}
+
+// =========== TIME ZONE CONTROLS ===========
+// Let viewers choose how review timestamps are read
+// - Source zone: where the dataset's dates were recorded (rebuilds the data)
+// - Display zone: which clock days and hours are bucketed on (redraws only)
+function setupTimeZoneControls(onSourceChange, onDisplayChange) {
+    const zones = listTimeZones();
+    const controls = d3.select('body')
+        .append('div')
+        .attr('class', 'time-settings');
+
+    function addZoneSelect(label, value, onChange) {
+        const group = controls.append('label');
+
+        group.append('span')
+            .text(label);
+
+        group.append('select')
+            .on('change', function() {
+                onChange(this.value);
+            })
+            .selectAll('option')
+            .data(zones)
+            .join('option')
+            .attr('value', d => d)
+            .property('selected', d => d === value)
+            .text(d => d.replace(/_/g, ' '));
+    }
+
+    addZoneSelect('Recorded in', getSourceTimeZone(), zone => {
+        setSourceTimeZone(zone);
+        onSourceChange();
+    });
+
+    addZoneSelect('Show times in', getDisplayTimeZone(), zone => {
+        setDisplayTimeZone(zone);
+        onDisplayChange();
+    });
+}
+
+// =========== DATA LOADING ===========
+// Load every source into one list of rows
+// - Each source is validated on its own
+// - Overlapping exports are merged
+// - Excluded rows and merge conflicts are reported together
+function loadRows(sources) {
+    return loadReviewSources(sources).then(result => {
+        showValidationReport(result.reports, result.conflicts);
+        return result.rows;
+    });
 }
 
 // =========== INITIALIZATION ===========
-// Load data and setup scroll-based visualization
-// - Load CSV data
+// Load the story and data, then setup scroll-based visualization
+// - Load the story's sources (or the configured ones)
+// - Build the shared review model and render the steps with its statistics
 // - Initialize scroller
 // - Setup visualization
-d3.csv('data.csv').then(function(rawData) {
+// - Swap in dropped exports
+// - Rebuild or redraw when time zones change
+// - Sync the active step (by id) and chart state with the URL hash
+// - Keep one mounted chart and redraw it on resize
+// - Keyboard-driven presentation mode
+const storyFile = storyUrl();
+
+loadStory(storyFile, Object.keys(chartCreators)).then(function(story) {
+    return loadRows(story.sources || dataConfig.sources).then(initialRows => startStory(story, initialRows));
+}).catch(error => {
+    d3.select('#sections')
+        .append('div')
+        .attr('class', 'story-error')
+        .text(`Could not load ${storyFile}: ${error.message}`);
+});
+
+function startStory(story, initialRows) {
+    let rows = initialRows;
+    let reviewData = null;
+
+    // Rebuild the review model and the numbers quoted in the step text
+    function rebuildData() {
+        reviewData = buildReviewData(rows);
+        renderStory(story, computeStoryStats(reviewData));
+    }
+
+    rebuildData();
+
+    // Index of the step the hash links to, or null
+    function linkedIndex() {
+        return stepIndex(story, readStoryLocation().step);
+    }
+
+    let activeIndex = linkedIndex() ?? 0;
+    let activeChart = null;
+    let renderedIndex = null;
+
+    // Draw a step, restoring chart state when the hash links to it
+    // - The same step is updated in place
+    // - A new step fades out the outgoing chart while the incoming one mounts
+    function renderStep(index) {
+        const step = story.steps[index];
+        const state = linkedIndex() === index ? readStoryLocation().state : {};
+
+        if (activeChart && renderedIndex === index) {
+            activeChart.update(reviewData, state);
+            return;
+        }
+
+        if (activeChart) activeChart.destroy({ animate: true });
+        hideWordDetail();
+        renderedIndex = index;
+        activeChart = updateVis(step, reviewData, {
+            state,
+            onStateChange: newState => writeStoryLocation(step.id, newState)
+        });
+    }
+
     // Initialize scroll-based navigation
     const scroll = scroller()
         .container(d3.select('#graphic'))
         .containerOffset(350)
         .on('active', function(index) {
+            const changed = index !== activeIndex;
+            activeIndex = index;
+
             // Update section visibility
             d3.selectAll('.step')
                 .style('opacity', (d, i) => i === index ? 1 : 0.1);
-            
+            presentation.update();
+
+            // Record the step, as a new history entry once the hash names one
+            if (linkedIndex() !== index) {
+                writeStoryLocation(story.steps[index].id, {}, readStoryLocation().step !== null);
+            }
+
             // Update visualization
-            updateVis(index, rawData);
+            if (changed) renderStep(index);
+        })
+        .on('progress', function(index, progress) {
+            // Let the active chart scrub its animation with the scroll position
+            if (index === activeIndex && activeChart) {
+                activeChart.dispatch('stepprogress', { progress });
+            }
         });
 
+    // Arrow keys step through chart states and sections when presenting
+    const presentation = setupPresentationMode({
+        stepCount: story.steps.length,
+        getActiveIndex: () => activeIndex,
+        goToStep: index => scroll.scrollTo(index),
+        stepChart: type => activeChart ? activeChart.dispatch(type) : false
+    });
+
+    // Charts size themselves from the window, so redraw them once resizing settles
+    let resizeTimer = null;
+    d3.select(window).on('resize.vis', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+            if (activeChart) activeChart.resize();
+        }, 200);
+    });
+
+    // Back/forward either moves to another step or restores chart state
+    d3.select(window).on('popstate.story', () => {
+        const index = linkedIndex();
+        if (index === null) return;
+
+        if (index === activeIndex) {
+            renderStep(activeIndex);
+        } else {
+            scroll.scrollTo(index);
+        }
+    });
+
+    // Dropped files replace the configured sources
+    setupFileDrop(files => loadRows(files).then(newRows => {
+        rows = newRows;
+        rebuildData();
+        renderStep(activeIndex);
+    }));
+
+    // Dates depend on the source zone, bucketing (and streaks) on the display zone
+    setupTimeZoneControls(
+        () => {
+            rebuildData();
+            renderStep(activeIndex);
+        },
+        () => {
+            renderStory(story, computeStoryStats(reviewData));
+            renderStep(activeIndex);
+        }
+    );
+
     // Start scroll handler and show initial visualization
+    // - A linked step is scrolled into place once the page has laid out
     scroll();
-    updateVis(0, rawData);
-});
\ No newline at end of file
+    renderStep(activeIndex);
+    if (linkedIndex() !== null) {
+        requestAnimationFrame(() => scroll.scrollTo(activeIndex));
+    }
+}
\ No newline at end of file
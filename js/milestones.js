@@ -0,0 +1,179 @@
+// =========== MILESTONE DETECTION ===========
+// Suggest timeline milestones from the review data
+// - Bursts of new words, shifts in the category being learned,
+//   breaks in study and a new most common part of speech
+// - A milestone at week n describes what the weeks before n added
+// - Hand-written weeks and descriptions from the story override the suggestions
+import { categoryMap, posMap, milestoneConfig } from './cellconfig.js';
+import { formatDate } from './timeZones.js';
+
+const MS_PER_DAY = 86400 * 1000;
+
+function categoryName(category) {
+    return categoryMap.names[category] || category;
+}
+
+function posName(pos) {
+    return posMap.plural[pos] || pos;
+}
+
+// Most common value of a field, with its count
+function dominant(items, accessor) {
+    return d3.greatest(d3.rollups(items, v => v.length, accessor), d => d[1]) || [null, 0];
+}
+
+// =========== CANDIDATES ===========
+// Every event worth a milestone, scored by how notable it is
+// - weekOf maps a date onto the timeline's week numbers
+function findCandidates(reviewData, weekOf, weekCount) {
+    const weeks = d3.range(weekCount).map(week => ({ week, words: [] }));
+    reviewData.words.forEach(word => {
+        const week = weeks[weekOf(word.firstReview)];
+        if (week) week.words.push(word);
+    });
+
+    const activeCounts = weeks.map(d => d.words.length).filter(d => d > 0);
+    const typicalWeek = d3.median(activeCounts) || 0;
+    const candidates = [];
+
+    let started = false;
+    let previousFocus = null;
+    let previousLeader = null;
+    const posTotals = new Map();
+
+    weeks.forEach(({ week, words }) => {
+        if (!words.length) return;
+        const weekStart = d3.min(words, d => d.firstReview);
+        const [focus, focusCount] = dominant(words, d => d.category);
+
+        // First words
+        if (!started) {
+            started = true;
+            candidates.push({
+                week: week + 1,
+                score: Infinity,
+                description: `Week of ${formatDate(weekStart)}: the first ${words.length} words, mostly ${categoryName(focus)}.`
+            });
+        }
+
+        // Bursts of new words
+        else if (words.length >= milestoneConfig.burstFactor * typicalWeek && words.length >= milestoneConfig.minWords) {
+            candidates.push({
+                week: week + 1,
+                score: words.length / typicalWeek,
+                description: `A burst of ${words.length} new words in the week of ${formatDate(weekStart)}, mostly ${categoryName(focus)}.`
+            });
+        }
+
+        // Category shifts
+        if (words.length >= milestoneConfig.minWords) {
+            if (previousFocus !== null && focus !== previousFocus) {
+                candidates.push({
+                    week: week + 1,
+                    score: 1 + focusCount / words.length,
+                    description: `The focus moves from ${categoryName(previousFocus)} to ${categoryName(focus)}: ${focusCount} of ${words.length} new words that week.`
+                });
+            }
+            previousFocus = focus;
+        }
+
+        // A new most common part of speech
+        words.forEach(word => posTotals.set(word.partOS, (posTotals.get(word.partOS) || 0) + 1));
+        const [leader] = d3.greatest(posTotals, d => d[1]);
+        if (previousLeader !== null && leader !== previousLeader) {
+            candidates.push({
+                week: week + 1,
+                score: 2.5,
+                description: `${posName(leader)[0].toUpperCase()}${posName(leader).slice(1)} overtake ${posName(previousLeader)} as the most common part of speech.`
+            });
+        }
+        previousLeader = leader;
+    });
+
+    // Breaks in study, placed where reviews resume
+    const reviewTimes = reviewData.reviews.map(d => d.date.getTime());
+    for (let i = 1; i < reviewTimes.length; i++) {
+        const days = Math.floor((reviewTimes[i] - reviewTimes[i - 1]) / MS_PER_DAY);
+        if (days >= milestoneConfig.minGapDays) {
+            const resumed = new Date(reviewTimes[i]);
+            candidates.push({
+                week: Math.min(weekCount, weekOf(resumed) + 1),
+                score: 1 + days / 7,
+                description: `Back to studying on ${formatDate(resumed)} after a ${days}-day break.`
+            });
+        }
+    }
+
+    return candidates;
+}
+
+// =========== PUBLIC API ===========
+// Suggest milestones for a timeline of weekCount weeks
+// - weekOf maps a date onto the timeline's week numbers
+// - The opening, first words and closing milestones are always kept
+// - The highest scoring events are kept up to maxMilestones, spaced minSpacing weeks apart
+// - rank records the order they were chosen in, most important first
+export function detectMilestones(reviewData, { weekOf, weekCount }) {
+    const categoryCount = new Set(reviewData.words.map(d => d.category)).size;
+    const lastDate = d3.max(reviewData.reviews, d => d.date);
+
+    const opening = {
+        week: 0,
+        description: `The ${reviewData.words.length} words fall into ${categoryCount} categories. Hover for more context!`
+    };
+    const closing = {
+        week: weekCount,
+        description: `As of ${lastDate ? formatDate(lastDate) : 'now'}, that's ${reviewData.words.length} words in all.`
+    };
+
+    const chosen = [opening, closing];
+    findCandidates(reviewData, weekOf, weekCount)
+        .sort((a, b) => b.score - a.score)
+        .forEach(candidate => {
+            // The first words are always shown
+            const required = candidate.score === Infinity;
+            if (!required && chosen.length >= milestoneConfig.maxMilestones) return;
+            if (!required && chosen.some(d => Math.abs(d.week - candidate.week) < milestoneConfig.minSpacing)) return;
+            chosen.push({ week: candidate.week, description: candidate.description });
+        });
+
+    return chosen
+        .map((d, rank) => ({ ...d, rank, source: 'auto' }))
+        .sort((a, b) => a.week - b.week);
+}
+
+// Apply hand-written milestones on top of the suggestions
+// - weeks: use exactly these weeks instead of the suggested ones
+// - descriptions: text per week, adding the week if it was not suggested
+// - Without weeks, described weeks come first and suggestions fill the rest,
+//   up to maxMilestones and not within minSpacing of a described week
+// - Weeks without hand-written text keep the suggested text where there is one
+export function applyMilestoneOverrides(detected, overrides = {}) {
+    const descriptions = overrides.descriptions || {};
+    const detectedText = new Map(detected.map(d => [d.week, d.description]));
+
+    let weeks;
+    if (Array.isArray(overrides.weeks)) {
+        weeks = overrides.weeks.map(Number);
+    } else {
+        weeks = Object.keys(descriptions).map(Number);
+        const described = weeks.slice();
+        d3.sort(detected, d => d.rank).forEach(({ week }) => {
+            if (weeks.length >= milestoneConfig.maxMilestones) return;
+            if (weeks.includes(week)) return;
+            if (described.some(d => Math.abs(d - week) < milestoneConfig.minSpacing)) return;
+            weeks.push(week);
+        });
+    }
+
+    return weeks
+        .sort((a, b) => a - b)
+        .map(week => {
+            const authored = Object.hasOwn(descriptions, week);
+            return {
+                week,
+                description: authored ? descriptions[week] : (detectedText.get(week) || `Week ${week}`),
+                source: authored ? 'author' : 'auto'
+            };
+        });
+}
@@ -0,0 +1,88 @@
+// =========== PRESENTATION MODE ===========
+// Drive the story from the keyboard for talks
+// - Arrow keys step through chart states first, then scroller sections
+// - Charts call preventDefault() on storynext/storyprev when they consumed a key
+// - On-screen step counter and full-screen layout
+// - Toggled with the P key or the Present button, Escape leaves
+
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown', 'PageDown', ' '];
+const PREV_KEYS = ['ArrowLeft', 'ArrowUp', 'PageUp'];
+
+// =========== PUBLIC API ===========
+// Wire presentation mode into the story
+// - stepCount: number of scroller sections
+// - getActiveIndex: returns the active section index
+// - goToStep: scrolls a section into place
+// - stepChart: sends storynext/storyprev to the active chart, true when it
+//   moved to another internal state
+export function setupPresentationMode({ stepCount, getActiveIndex, goToStep, stepChart }) {
+    let presenting = false;
+
+    const counter = d3.select('body')
+        .append('div')
+        .attr('class', 'presentation-counter');
+
+    const toggleButton = d3.select('body')
+        .append('button')
+        .attr('class', 'presentation-toggle')
+        .text('Present')
+        .on('click', () => setPresenting(!presenting));
+
+    function updateCounter() {
+        counter.text(`${getActiveIndex() + 1} / ${stepCount}`);
+    }
+
+    function setPresenting(value) {
+        presenting = value;
+        d3.select('body').classed('presenting', presenting);
+        toggleButton.text(presenting ? 'Exit' : 'Present');
+        updateCounter();
+
+        // Full screen is a nicety, browsers may refuse it
+        const root = document.documentElement;
+        if (presenting && root.requestFullscreen && !document.fullscreenElement) {
+            root.requestFullscreen().catch(() => {});
+        } else if (!presenting && document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+
+    function next() {
+        if (stepChart('storynext')) return;
+        const index = getActiveIndex();
+        if (index < stepCount - 1) goToStep(index + 1);
+    }
+
+    function prev() {
+        if (stepChart('storyprev')) return;
+        const index = getActiveIndex();
+        if (index > 0) goToStep(index - 1);
+    }
+
+    d3.select(window).on('keydown.presentation', event => {
+        // Leave typing in chart controls alone
+        if (event.target.closest('input, select, textarea')) return;
+
+        if (event.key === 'p' || event.key === 'P') {
+            setPresenting(!presenting);
+        } else if (!presenting) {
+            return;
+        } else if (event.key === 'Escape') {
+            setPresenting(false);
+        } else if (NEXT_KEYS.includes(event.key)) {
+            event.preventDefault();
+            next();
+        } else if (PREV_KEYS.includes(event.key)) {
+            event.preventDefault();
+            prev();
+        }
+    });
+
+    // Leaving full screen from the browser also ends the presentation
+    d3.select(document).on('fullscreenchange.presentation', () => {
+        if (presenting && !document.fullscreenElement) setPresenting(false);
+    });
+
+    // Keep the counter in step with scrolling
+    return { update: updateCounter };
+}
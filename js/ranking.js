@@ -0,0 +1,73 @@
+// =========== RANKING METRICS ===========
+// Ways to rank words by how well they are remembered
+// - raw: share of good reviews, however few reviews there are
+// - wilson: lower end of the Wilson interval, so a word needs many good reviews to rank high
+// - bayes: success rate pulled towards the overall rate by a few imaginary reviews
+// - recency: recent reviews count more than old ones
+// - Scores are fractions between 0 and 1
+import { rankingConfig } from './cellconfig.js';
+
+const MS_PER_DAY = 86400 * 1000;
+
+// =========== CONFIDENCE INTERVALS ===========
+// Wilson score interval for good out of total reviews
+// - Stays inside 0 to 1 and behaves for words with only a few reviews
+export function wilsonInterval(good, total, z = rankingConfig.z) {
+    if (!total) return [0, 1];
+
+    const rate = good / total;
+    const z2 = z * z;
+    const center = (rate + z2 / (2 * total)) / (1 + z2 / total);
+    const margin = z / (1 + z2 / total) * Math.sqrt(rate * (1 - rate) / total + z2 / (4 * total * total));
+
+    return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+// Confidence level of intervals at z, as a percentage (1.96 gives 95)
+// - Normal distribution function from the Abramowitz and Stegun
+//   approximation of erf, good to about 1e-7
+export function confidenceLevel(z = rankingConfig.z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return Math.round(erf * 1000) / 10;
+}
+
+// =========== METRICS ===========
+// Each metric scores a word given the context of the whole dataset
+export const rankings = {
+    raw: {
+        label: 'Success Rate',
+        score: word => word.goodReviews / (word.goodReviews + word.badReviews)
+    },
+    wilson: {
+        label: 'Wilson Lower Bound',
+        score: word => wilsonInterval(word.goodReviews, word.goodReviews + word.badReviews)[0]
+    },
+    bayes: {
+        label: 'Smoothed Success Rate',
+        score: (word, context) => (word.goodReviews + rankingConfig.priorStrength * context.overallRate)
+            / (word.goodReviews + word.badReviews + rankingConfig.priorStrength)
+    },
+    recency: {
+        label: 'Recent Success Rate',
+        score: (word, context) => {
+            const weights = word.reviews.map(d =>
+                Math.pow(0.5, (context.latest - d.date) / MS_PER_DAY / rankingConfig.halfLifeDays));
+            const goodWeight = d3.sum(word.reviews, (d, i) => d.score === 'good' ? weights[i] : 0);
+            return goodWeight / d3.sum(weights);
+        }
+    }
+};
+
+// What the metrics compare words against
+// - overallRate: share of all reviews answered good
+// - latest: the most recent review, so recency does not drift with today's date
+export function rankingContext(reviewData) {
+    const { reviews } = reviewData;
+    return {
+        overallRate: reviews.length ? reviews.filter(d => d.score === 'good').length / reviews.length : 0,
+        latest: d3.max(reviews, d => d.date)
+    };
+}
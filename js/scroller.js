@@ -1,81 +1,150 @@
 // =========== SCROLLING VISUALIZATION CONTROLLER ===========
 // Main controller for scroll-based visualization transitions
-// - Manages section visibility based on scroll position
-// - Handles viewport calculations and resize events
-// - Dispatches events for active section changes
+// - Watches sections with an IntersectionObserver instead of polling rects
+// - Scopes to the configured container and its nearest scrolling ancestor
+// - Dispatches events for active section changes, enter/exit and progress
 function scroller() {
     // =========== STATE MANAGEMENT ===========
     // Core state variables
     // - Container reference (defaults to body)
     // - Event dispatcher for section transitions
-    // - Section elements and positions
+    // - Observer, scroll root and section elements
+    // - Sections currently inside the trigger band
     let container = d3.select('body');
-    let dispatch = d3.dispatch('active', 'progress');
-    let sections = d3.selectAll('.step');
-    let sectionPositions;
+    let dispatch = d3.dispatch('active', 'progress', 'enter', 'exit');
+    let sections = d3.selectAll(null);
+    let observer = null;
+    let scrollRoot = null;
     let currentIndex = -1;
     let containerOffset = 0;
+    let progressFrame = null;
+    let entered = new Set();
 
-    // =========== VIEWPORT CALCULATIONS ===========
-    // Calculate and update section positions
-    // - Get section positions relative to viewport
-    // - Handle window resizing
-    // - Store positions for scroll calculations
-    function resize() {
-        // Recalculate all section positions
-        sectionPositions = [];
-        let startPos;
-
-        // Get positions of all sections
-        sections.each(function(d, i) {
-            let top = this.getBoundingClientRect().top;
-            if (i === 0) startPos = top;
-            sectionPositions.push(top - startPos);
-        });
+    // =========== SCROLL ROOT DETECTION ===========
+    // Find the element that actually scrolls the sections
+    // - Checks the container itself, then its ancestors
+    // - Falls back to the viewport (null) for page-level scrolling
+    function findScrollRoot(node) {
+        for (let el = node; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+            const overflowY = getComputedStyle(el).overflowY;
+            if ((overflowY === 'auto' || overflowY === 'scroll') && el.scrollHeight > el.clientHeight) {
+                return el;
+            }
+        }
+        return null;
+    }
+
+    function rootHeight() {
+        return scrollRoot ? scrollRoot.clientHeight : window.innerHeight;
     }
 
-    // =========== SCROLL POSITION TRACKING ===========
-    // Monitor scroll position and update active section
-    // - Calculate current scroll position
-    // - Determine which section is in focus
-    // - Trigger section change events
-    function position() {
-        // Get current scroll position with offset
-        let pos = window.pageYOffset - containerOffset;
-        let vh = window.innerHeight;
-
-        // Check each section's position
-        sections.each(function(d, i) {
-            let rect = this.getBoundingClientRect();
-            let midPoint = rect.top + rect.height / 2;
-
-            // Section is active if in middle 50% of viewport
-            if (midPoint > vh * 0.25 && midPoint < vh * 0.75) {
+    function rootTop() {
+        return scrollRoot ? scrollRoot.getBoundingClientRect().top : 0;
+    }
+
+    // Sections become active as they cross this line
+    // - containerOffset pixels from the top of the scroll root, or its middle by default
+    function triggerLine() {
+        const height = rootHeight();
+        return Math.min(height - 1, containerOffset || height / 2);
+    }
+
+    // =========== INTERSECTION HANDLING ===========
+    // Observe a 1px band at the trigger line
+    // - Entering the band makes a section active
+    // - Direction comes from which side of the line most of the section sits on
+    // - A new observer reports every section once, so enter and exit only fire
+    //   when a section actually crosses the band
+    function handleIntersections(entries) {
+        entries.forEach(entry => {
+            const index = sections.nodes().indexOf(entry.target);
+            if (index === -1) return;
+
+            const rect = entry.boundingClientRect;
+            const line = entry.rootBounds ? entry.rootBounds.top : rootTop() + triggerLine();
+
+            if (entry.isIntersecting) {
+                if (!entered.has(entry.target)) {
+                    entered.add(entry.target);
+                    const direction = rect.bottom - line > line - rect.top ? 'down' : 'up';
+                    dispatch.call('enter', entry.target, index, direction);
+                }
+
                 // Only dispatch if section changed
-                if (currentIndex !== i) {
-                    dispatch.call('active', this, i);
-                    currentIndex = i;
+                if (currentIndex !== index) {
+                    currentIndex = index;
+                    dispatch.call('active', entry.target, index);
                 }
+                updateProgress();
+            } else if (entered.has(entry.target)) {
+                entered.delete(entry.target);
+                const direction = rect.bottom <= line ? 'down' : 'up';
+                dispatch.call('exit', entry.target, index, direction);
             }
         });
     }
 
+    function observe() {
+        if (observer) observer.disconnect();
+
+        const line = triggerLine();
+        observer = new IntersectionObserver(handleIntersections, {
+            root: scrollRoot,
+            rootMargin: `-${line}px 0px -${rootHeight() - line - 1}px 0px`,
+            threshold: 0
+        });
+
+        sections.each(function() {
+            observer.observe(this);
+        });
+    }
+
+    // =========== PROGRESS TRACKING ===========
+    // Report how far the trigger line has travelled through the active section
+    // - Only the active section is measured
+    // - Batched to one measurement per animation frame
+    function updateProgress() {
+        const section = sections.nodes()[currentIndex];
+        if (!section) return;
+
+        const rect = section.getBoundingClientRect();
+        const line = rootTop() + triggerLine();
+        const progress = (line - rect.top) / rect.height;
+        dispatch.call('progress', section, currentIndex, Math.max(0, Math.min(1, progress)));
+    }
+
+    function onScroll() {
+        if (progressFrame !== null) return;
+        progressFrame = requestAnimationFrame(() => {
+            progressFrame = null;
+            updateProgress();
+        });
+    }
+
+    // =========== VIEWPORT CHANGES ===========
+    // The trigger band is sized in pixels, so rebuild it when the root resizes
+    function resize() {
+        bindScrollRoot(findScrollRoot(container.node()));
+        observe();
+        updateProgress();
+    }
+
+    function bindScrollRoot(root) {
+        d3.select(scrollRoot || window).on('scroll.scroller', null);
+        scrollRoot = root;
+        d3.select(scrollRoot || window).on('scroll.scroller', onScroll);
+    }
+
     // =========== EVENT BINDING ===========
-    // Setup scroll and resize event handlers
-    // - Bind scroll event listener
-    // - Handle window resizing
-    // - Initialize positions
+    // Setup observers and event handlers
+    // - Collect sections inside the container
+    // - Bind scroll (for progress) and resize listeners
     function scroll() {
-        // Add scroll and resize handlers
-        d3.select(window)
-            .on('scroll.scroller', position)
-            .on('resize.scroller', resize);
-
-        // Initial sizing
-        resize();
-        
-        // Small delay for proper initialization
-        setTimeout(position, 100);
+        sections = container.selectAll('.step');
+        entered = new Set();
+        bindScrollRoot(findScrollRoot(container.node()));
+        d3.select(window).on('resize.scroller', resize);
+        observe();
     }
 
     // =========== PUBLIC API ===========
@@ -83,6 +152,8 @@ function scroller() {
     // - Set container element
     // - Configure offset
     // - Bind event handlers
+    // - Jump to a section
+    // - Tear down observers and listeners
 
     // Set container element
     scroll.container = function(value) {
@@ -91,7 +162,7 @@ function scroller() {
         return scroll;
     };
 
-    // Set vertical offset
+    // Set distance of the trigger line from the top of the scroll root
     scroll.containerOffset = function(value) {
         if (!arguments.length) return containerOffset;
         containerOffset = value;
@@ -104,5 +175,24 @@ function scroller() {
         return scroll;
     };
 
+    // Scroll a section onto the trigger line, which makes it active
+    scroll.scrollTo = function(index) {
+        const section = sections.nodes()[index];
+        if (!section) return scroll;
+
+        const offset = section.getBoundingClientRect().top - (rootTop() + triggerLine()) + 1;
+        (scrollRoot || window).scrollBy(0, offset);
+        return scroll;
+    };
+
+    // Stop observing and remove listeners
+    scroll.destroy = function() {
+        if (observer) observer.disconnect();
+        if (progressFrame !== null) cancelAnimationFrame(progressFrame);
+        d3.select(scrollRoot || window).on('scroll.scroller', null);
+        d3.select(window).on('resize.scroller', null);
+        return scroll;
+    };
+
     return scroll;
-}
\ No newline at end of file
+}
@@ -0,0 +1,321 @@
+// =========== IMPORTS & CONFIGURATION ===========
+// Import core configuration and utility objects
+// - Color schemes and mappings
+// - Week numbering shared with the waffle chart
+// - UI configuration settings
+import { colors, posMap, categoryMap, legendConfig, uiConfig } from './cellconfig.js';
+import { firstReviewWeeks } from './dataModel.js';
+import { formatDate } from './timeZones.js';
+
+// =========== STACKING GROUPS ===========
+// Word fields the areas can be stacked by
+const groupings = {
+    partOS: {
+        label: 'Part of Speech',
+        value: d => d.partOS,
+        colors: colors.pos,
+        name: key => posMap.labels[key] || key
+    },
+    category: {
+        label: 'Category',
+        value: d => d.category,
+        colors: colors.category,
+        name: key => categoryMap.names[key] || key
+    }
+};
+const groupingKeys = Object.keys(groupings);
+
+// Charts cross-fade while the step changes, so two can be on the page at once
+// - Each gets its own clip path id
+let chartCount = 0;
+
+export function createStackedAreaChart(visContainer, reviewData, { state = {}, onStateChange = () => {}, config = {} } = {}) {
+    // =========== CONSTANTS & SETUP ===========
+    // Define visualization dimensions and layout
+    // - Room below the axis for the legend and annotation
+    const margin = { ...uiConfig.margins, top: 60, left: 70 };
+    const width = Math.floor(window.innerWidth * 0.65) - margin.left - margin.right;
+    const height = 420;
+
+    // =========== SVG SETUP ===========
+    // Create base SVG container and groups
+    const svg = visContainer
+        .append('svg')
+        .attr('width', width + margin.left + margin.right)
+        .attr('height', height + margin.top + margin.bottom + 120)
+        .append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    // =========== WEEKLY DATA ORGANIZATION ===========
+    // Count unique words by the week they were first reviewed in
+    // - Week n holds every word from weeks before n, as in the waffle chart
+    const { weekCount, weekOf, weekStart } = firstReviewWeeks(reviewData.words);
+
+    const xScale = d3.scaleLinear()
+        .domain([0, weekCount])
+        .range([0, width]);
+
+    const yScale = d3.scaleLinear()
+        .domain([0, reviewData.words.length])
+        .range([height, 0])
+        .nice();
+
+    // Cumulative counts per week for one grouping
+    // - Keys are stacked largest first, so the biggest group sits on the axis
+    function cumulativeCounts(grouping) {
+        const keys = d3.groupSort(reviewData.words, v => -v.length, grouping.value);
+        const weeklyCounts = d3.rollup(reviewData.words, v => v.length, d => weekOf(d.firstReview), grouping.value);
+
+        const running = Object.fromEntries(keys.map(key => [key, 0]));
+        const rows = d3.range(weekCount + 1).map(week => {
+            const row = { week, ...running };
+            const added = weeklyCounts.get(week);
+            if (added) added.forEach((count, key) => running[key] += count);
+            return row;
+        });
+
+        return { keys, rows };
+    }
+
+    // =========== AXES ===========
+    // Weeks along the bottom, words up the side
+    svg.append('g')
+        .attr('class', 'x-axis')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(xScale).ticks(Math.min(weekCount, 10)));
+
+    svg.append('g')
+        .attr('class', 'y-axis')
+        .call(d3.axisLeft(yScale).ticks(6));
+
+    svg.append('text')
+        .attr('x', width / 2)
+        .attr('y', height + 40)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '12px')
+        .text('Weeks since the first review');
+
+    svg.append('text')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -height / 2)
+        .attr('y', -50)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '12px')
+        .text('Words learned');
+
+    // =========== AREAS ===========
+    // Areas are clipped to the weeks reached so far
+    const clipId = `stacked-area-clip-${++chartCount}`;
+    const clip = svg.append('defs')
+        .append('clipPath')
+        .attr('id', clipId)
+        .append('rect')
+        .attr('y', -10)
+        .attr('height', height + 10)
+        .attr('width', width);
+
+    const areaGroup = svg.append('g')
+        .attr('class', 'area-group')
+        .attr('clip-path', `url(#${clipId})`);
+
+    const area = d3.area()
+        .curve(d3.curveMonotoneX)
+        .x(d => xScale(d.data.week))
+        .y0(d => yScale(d[0]))
+        .y1(d => yScale(d[1]));
+
+    // =========== ANNOTATIONS ===========
+    // Week reached and the mix of words at that point
+    const annotation = svg.append('text')
+        .attr('class', 'annotation')
+        .attr('x', width / 2)
+        .attr('y', height + 110)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '14px');
+
+    const legend = svg.append('g')
+        .attr('class', 'legend')
+        .attr('transform', `translate(0, ${height + 60})`);
+
+    // =========== HOVER ===========
+    // Vertical rule with the counts of the week under the cursor
+    const hoverRule = svg.append('line')
+        .attr('class', 'hover-rule')
+        .attr('y1', 0)
+        .attr('y2', height)
+        .style('stroke', colors.ui.darkGrey)
+        .style('stroke-dasharray', '3,3')
+        .style('pointer-events', 'none')
+        .style('opacity', 0);
+
+    function showTooltip(week) {
+        svg.selectAll('.tooltip').remove();
+        const row = data.rows[week];
+        const total = d3.sum(data.keys, key => row[key]);
+        const lines = data.keys
+            .filter(key => row[key] > 0)
+            .map(key => ({ key, text: `${grouping.name(key)}: ${row[key]} (${Math.round(row[key] / total * 100)}%)` }));
+
+        const x = xScale(week);
+        const tooltip = svg.append('g')
+            .attr('class', 'tooltip')
+            .attr('transform', `translate(${x > width - 200 ? x - 195 : x + 8}, 10)`)
+            .style('pointer-events', 'none');
+
+        tooltip.append('rect')
+            .attr('width', 185)
+            .attr('height', 24 + lines.length * 14)
+            .attr('rx', 3)
+            .attr('fill', 'white')
+            .attr('stroke', '#ccc');
+
+        tooltip.append('text')
+            .attr('x', 6)
+            .attr('y', 14)
+            .style('font-size', '10px')
+            .style('font-weight', 'bold')
+            .text(`Before ${formatDate(weekStart(week))}: ${total} words`);
+
+        lines.forEach((line, i) => {
+            tooltip.append('text')
+                .attr('x', 6)
+                .attr('y', 30 + i * 14)
+                .style('font-size', '10px')
+                .style('fill', grouping.colors[line.key] || colors.ui.darkGrey)
+                .text(line.text);
+        });
+
+        hoverRule.attr('x1', x).attr('x2', x).style('opacity', 1);
+    }
+
+    svg.append('rect')
+        .attr('class', 'hover-area')
+        .attr('width', width)
+        .attr('height', height)
+        .attr('fill', 'transparent')
+        .on('mousemove', event => {
+            const week = Math.round(xScale.invert(d3.pointer(event)[0]));
+            if (week <= currentWeek) showTooltip(Math.max(0, week));
+        })
+        .on('mouseout', () => {
+            svg.selectAll('.tooltip').remove();
+            hoverRule.style('opacity', 0);
+        });
+
+    // =========== GROUPING TOGGLE ===========
+    // Switch between parts of speech and categories
+    const groupingButton = svg.append('g')
+        .attr('class', 'grouping-button')
+        .attr('transform', `translate(${width-200}, -50)`)
+        .style('cursor', 'pointer');
+
+    groupingButton.append('rect')
+        .attr('width', 200)
+        .attr('height', 30)
+        .attr('rx', 5)
+        .attr('fill', colors.pos.verb);
+
+    groupingButton.append('text')
+        .attr('x', 100)
+        .attr('y', 20)
+        .attr('text-anchor', 'middle')
+        .attr('fill', 'white');
+
+    // =========== VISUALIZATION UPDATE ===========
+    // Draw the stack for the current grouping, fading between groupings
+    const defaultKey = groupingKeys.includes(config.dimension) ? config.dimension : 'partOS';
+    let groupingKey = groupingKeys.includes(state.by) ? state.by : defaultKey;
+    let grouping = null;
+    let data = null;
+    let currentWeek = weekCount;
+
+    function renderLegend() {
+        legend.selectAll('*').remove();
+
+        data.keys.forEach((key, i) => {
+            const legendX = (i % legendConfig.layout.itemsPerRow) * legendConfig.layout.itemWidth * 1.2;
+            const legendY = Math.floor(i / legendConfig.layout.itemsPerRow) * 20;
+
+            const legendItem = legend.append('g')
+                .attr('transform', `translate(${legendX}, ${legendY})`);
+
+            legendItem.append('rect')
+                .attr('width', legendConfig.layout.squareSize)
+                .attr('height', legendConfig.layout.squareSize)
+                .attr('fill', grouping.colors[key] || colors.ui.darkGrey);
+
+            legendItem.append('text')
+                .attr('x', 20)
+                .attr('y', 10)
+                .style('font-size', legendConfig.layout.fontSize)
+                .text(grouping.name(key));
+        });
+    }
+
+    function setGrouping(key) {
+        groupingKey = key;
+        grouping = groupings[groupingKey];
+        data = cumulativeCounts(grouping);
+
+        areaGroup.selectAll('.layer')
+            .data(d3.stack().keys(data.keys)(data.rows), d => d.key)
+            .join(
+                enter => enter.append('path')
+                    .attr('class', 'layer')
+                    .attr('d', area)
+                    .style('opacity', 0),
+                update => update,
+                exit => exit.transition()
+                    .duration(uiConfig.transitions.duration)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .attr('fill', d => grouping.colors[d.key] || colors.ui.darkGrey)
+            .transition()
+            .duration(uiConfig.transitions.duration)
+            .style('opacity', 0.85)
+            .attr('d', area);
+
+        groupingButton.select('text').text(`Stack by: ${grouping.label}`);
+        renderLegend();
+        renderAnnotation();
+    }
+
+    // Largest group among the words reached so far
+    function renderAnnotation() {
+        const row = data.rows[currentWeek];
+        const total = d3.sum(data.keys, key => row[key]);
+        const leader = d3.greatest(data.keys, key => row[key]);
+
+        annotation.text(total
+            ? `Week ${currentWeek} of ${weekCount}: ${total} words, ${Math.round(row[leader] / total * 100)}% ${grouping.name(leader)}`
+            : `Week ${currentWeek} of ${weekCount}: no words yet`);
+    }
+
+    function setWeek(week) {
+        currentWeek = Math.max(0, Math.min(weekCount, week));
+        clip.attr('width', xScale(currentWeek));
+        renderAnnotation();
+    }
+
+    // Link the grouping, leaving the story's default out
+    function reportState() {
+        onStateChange(groupingKey !== defaultKey ? { by: groupingKey } : {});
+    }
+
+    // =========== INITIALIZATION ===========
+    // Setup initial state and event handlers
+    // - A linked grouping is restored
+    // - Scrolling through the step reveals the weeks in order
+    setGrouping(groupingKey);
+    setWeek(weekCount);
+
+    groupingButton.on('click', () => {
+        setGrouping(groupingKeys[(groupingKeys.indexOf(groupingKey) + 1) % groupingKeys.length]);
+        reportState();
+    });
+
+    visContainer.on('stepprogress.chart', event => {
+        setWeek(Math.round(Math.min(1, event.detail.progress / 0.9) * weekCount));
+    });
+}
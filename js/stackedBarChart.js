@@ -3,9 +3,91 @@
 // - Color schemes and mappings
 // - Text labels and descriptions
 // - UI configuration settings
-import { colors, posMap, legendConfig, uiConfig } from './cellconfig.js';
+import { colors, posMap, categoryMap, cardStateMap, legendConfig, uiConfig } from './cellconfig.js';
+import { fillTemplate } from './storyStats.js';
+import { createStepMachine, bindStoryEvents } from './stepMachine.js';
 
-export function createStackedBarChart(visContainer, rawData) {
+// =========== PERCENTAGES ===========
+// Whole-number shares of a total that always add up to 100
+// - Largest remainder: floor every share, then hand the leftover points
+//   to the shares that lost the most when rounded down
+function percentShares(counts) {
+    const entries = Object.entries(counts);
+    const total = d3.sum(entries, ([, count]) => count);
+    if (!total) return Object.fromEntries(entries.map(([key]) => [key, 0]));
+
+    const shares = entries.map(([key, count]) => {
+        const exact = count / total * 100;
+        return { key, value: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    let leftover = 100 - d3.sum(shares, d => d.value);
+    shares.slice()
+        .sort((a, b) => b.remainder - a.remainder)
+        .forEach(share => {
+            if (leftover > 0) {
+                share.value++;
+                leftover--;
+            }
+        });
+
+    return Object.fromEntries(shares.map(d => [d.key, d.value]));
+}
+
+// =========== STACKING DIMENSIONS ===========
+// Fields the bar can be split by
+// - items: whether words or reviews are counted
+// - plural: label used in sentences, short: label next to the bars
+// - Keys without a color fall back to the Tableau palette
+const dimensions = {
+    partOS: {
+        items: 'words',
+        value: d => d.partOS,
+        colors: colors.pos,
+        plural: key => posMap.plural[key] || key,
+        short: key => posMap.abbreviated[key] || key,
+        legend: key => posMap.labels[key] || key,
+        summary: 'We can see that most of my vocabulary are {{topLabel}}, {{topRatio}}x higher than the average.'
+    },
+    category: {
+        items: 'words',
+        value: d => d.category,
+        colors: colors.category,
+        plural: key => `${categoryMap.names[key] || key} words`,
+        short: key => categoryMap.names[key] || key,
+        legend: key => categoryMap.names[key] || key,
+        summary: 'Most of my vocabulary is {{topLabel}}, {{topRatio}}x the average category.'
+    },
+    score: {
+        items: 'reviews',
+        value: d => d.score,
+        colors: { good: '#59a14f', bad: '#e15759' },
+        plural: key => `${key} reviews`,
+        short: key => key === 'good' ? 'Good' : 'Bad',
+        legend: key => key === 'good' ? 'Good' : 'Bad',
+        summary: 'Most of my reviews are {{topLabel}}, {{topRatio}}x higher than the average.'
+    },
+    agree: {
+        items: 'reviews',
+        value: d => d.agree,
+        colors: { yes: '#59a14f', no: '#e15759' },
+        plural: key => key === 'yes' ? 'reviews where I agreed with Anki' : 'reviews where I disagreed with Anki',
+        short: key => key === 'yes' ? 'Agreed' : 'Disagreed',
+        legend: key => key === 'yes' ? 'Agreed' : 'Disagreed',
+        summary: 'The largest group is {{topLabel}}, {{topRatio}}x the average.'
+    },
+    state: {
+        items: 'reviews',
+        value: d => d.state,
+        colors: cardStateMap.colors,
+        plural: key => `reviews in the ${(cardStateMap.labels[key] || key).toLowerCase()} state`,
+        short: key => cardStateMap.labels[key] || key,
+        legend: key => cardStateMap.labels[key] || key,
+        summary: 'The largest group is {{topLabel}}, {{topRatio}}x the average.'
+    }
+};
+
+export function createStackedBarChart(visContainer, reviewData, { config = {} } = {}) {
     // =========== CONSTANTS & SETUP ===========
     // Define visualization dimensions and layout
     // - Set custom margins based on UI config
@@ -25,39 +107,49 @@ export function createStackedBarChart(visContainer, rawData) {
         .attr('transform', `translate(${margin.left},${margin.top})`);
 
     // =========== DATA PROCESSING ===========
-    // Process raw data into visualization format
-    // - Group by part of speech
+    // Process words or reviews into visualization format
+    // - Group by the configured dimension (part of speech by default)
     // - Calculate counts and distributions
     // - Sort data for display
-    const posData = Array.from(d3.group(rawData, d => d.partOS))
-        .map(([pos, items]) => ({
-            pos: pos,
-            count: new Set(items.map(d => d.jpn)).size,
-            color: colors.pos[pos]
+    const dimension = dimensions[config.dimension] || dimensions.partOS;
+    const fallbackColor = d3.scaleOrdinal(d3.schemeTableau10);
+
+    const groupData = Array.from(d3.group(reviewData[dimension.items], dimension.value))
+        .map(([key, items]) => ({
+            key: key,
+            count: items.length,
+            color: dimension.colors[key] || fallbackColor(key)
         }))
-        .sort((a, b) => a.count - b.count);
+        .sort((a, b) => b.count - a.count);
 
-    const posDataDescending = posData.sort((a, b) => b.count - a.count);
+    const colorOf = key => groupData.find(d => d.key === key).color;
 
     // =========== SCALES ===========
     // Create scales for visualization
     // - Y scale for positioning
-    // - Total word calculations
+    // - Totals, shares and the largest group
+    // - Bar scale for the reorganized chart, capped to the chart width
     const yScale = d3.scaleBand()
-       .domain(posDataDescending.map(d => d.pos))
+       .domain(groupData.map(d => d.key))
        .range([0, 400])
        .padding(0.3);
 
-    // Calculate statistics
-    const totalWords = posData.reduce((acc, curr) => acc + curr.count, 0);
-    const average = Math.round(totalWords / posData.length);
-    const nounCount = posData.find(d => d.pos === 'noun').count;
-    const timesHigher = Math.round((nounCount / average) * 10) / 10;
+    const total = d3.sum(groupData, d => d.count);
+    const shares = percentShares(Object.fromEntries(groupData.map(d => [d.key, d.count])));
+    const average = Math.round(total / Math.max(1, groupData.length));
+    const top = groupData[0];
+    const topKey = top ? top.key : null;
+    const topRatio = top && average ? Math.round(top.count / average * 10) / 10 : 0;
     
     const xScale = d3.scaleLinear()
-        .domain([0, totalWords])
+        .domain([0, total])
         .range([0, width]);
 
+    const maxCount = top ? top.count : 0;
+    const barScale = d3.scaleLinear()
+        .domain([0, maxCount])
+        .range([0, Math.min(xScale(maxCount) * 2.3, width - 160)]);
+
     // =========== ANNOTATIONS ===========
     // Add text annotations for context
     const annotation = svg.append('text')
@@ -75,294 +167,371 @@ export function createStackedBarChart(visContainer, rawData) {
         .attr('transform', `translate(0,${barHeight})`);
 
     // =========== NAVIGATION ===========
-    // Add navigation button
-    const nextButton = svg.append('g')
-        .attr('class', 'next-button')
-        .attr('transform', `translate(${width/2-50}, ${height-380})`)
-        .style('cursor', 'pointer');
-
-    nextButton.append('rect')
-        .attr('width', 100)
-        .attr('height', 30)
-        .attr('rx', 4)
-        .attr('fill', colors.pos.verb);
-
-    nextButton.append('text')
-        .attr('x', 20)
-        .attr('y', 20)
-        .attr('fill', 'white')
-        .text('Next →');
+    // Back, replay and next buttons
+    const navigationContainer = svg.append('g')
+        .attr('class', 'navigation')
+        .attr('transform', `translate(${width/2-160}, ${height-380})`);
 
-    // =========== ANIMATION STATES ===========
-    // Define state management for animations
-    let currentState = 0;
-    const states = [
-        { text: "Let's consider our distribution as a whole." },
-        { text: `Recall that we have ${totalWords} words. Let's see how many are in each!` },
-        ...posData.map(d => ({ 
-            text: `For ${posMap.plural[d.pos]}, there are ${d.count} words making up ${
-                d.pos === 'noun' 
-                    ? (d.count/totalWords*100 - 1).toFixed(0) 
-                    : (d.count/totalWords*100).toFixed(0)
-            }%.`,
-            pos: d.pos 
-        })),
-        { text: "Let's reorganize this to see the comparison more clearly." },
-        { text: `We can see that most of my vocabulary are nouns, ${timesHigher}x higher than the average.` }
-    ];
+    function addButton(className, label, x) {
+        const button = navigationContainer.append('g')
+            .attr('class', className)
+            .attr('transform', `translate(${x}, 0)`)
+            .style('cursor', 'pointer');
 
-    // =========== UPDATE FUNCTION ===========
-    // Handle state updates and transitions
-    function updateState(state) {
-        // Update annotation text
-        annotation
+        button.append('rect')
+            .attr('width', 100)
+            .attr('height', 30)
+            .attr('rx', 4)
+            .attr('fill', colors.pos.verb);
+
+        button.append('text')
+            .attr('x', 50)
+            .attr('y', 20)
+            .attr('text-anchor', 'middle')
+            .attr('fill', 'white')
+            .text(label);
+
+        return button;
+    }
+
+    const backButton = addButton('back-button', '← Back', 0);
+    const replayButton = addButton('replay-button', '↺ Replay', 110);
+    const nextButton = addButton('next-button', 'Next →', 220);
+
+    // =========== DRAWING HELPERS ===========
+    // Pieces of the stacked bar, shared by going forward and coming back
+    // - Segments sit after every larger group
+    function segmentX(group) {
+        const previousTotal = groupData
+            .slice(0, groupData.indexOf(group))
+            .reduce((acc, curr) => acc + curr.count, 0);
+        return xScale(previousTotal);
+    }
+
+    function addTotalBar() {
+        barGroup.insert('rect', ':first-child')
+            .attr('class', 'total-bar')
+            .attr('x', 0)
+            .attr('y', 0)
+            .attr('height', barHeight)
+            .attr('fill', colors.ui.lightGrey)
+            .attr('width', 0)
+            .transition()
+            .duration(uiConfig.transitions.duration * 2)
+            .attr('width', width);
+    }
+
+    function addPercentageLabel(group) {
+        barGroup.append('text')
+            .attr('class', 'percentage-label')
+            .attr('data-key', group.key)
+            .attr('x', segmentX(group) + xScale(group.count)/2)
+            .attr('y', barHeight/2)
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'middle')
+            .style('fill', 'white')
+            .style('font-weight', 'bold')
+            .style('font-size', '16px')
             .style('opacity', 0)
+            .text(`${shares[group.key]}%`)
             .transition()
             .duration(uiConfig.transitions.duration)
-            .style('opacity', 1)
-            .text(states[state].text);
+            .style('opacity', 1);
+    }
+
+    function addLegend() {
+        const legend = svg.append('g')
+            .attr('class', 'legend')
+            .attr('transform', `translate(${width/2-300}, ${height-460})`);
 
-        if (state === 1) {
-            // Show total bar
+        groupData.map(d => ({ label: dimension.legend(d.key), color: d.color })).forEach((item, i) => {
+            const legendX = (i % legendConfig.layout.itemsPerRow) * legendConfig.layout.itemWidth;
+            const legendY = Math.floor(i / legendConfig.layout.itemsPerRow) * 20;
+    
+            const legendItem = legend.append('g')
+                .attr('transform', `translate(${legendX}, ${legendY})`);
+    
+            legendItem.append('rect')
+                .attr('width', legendConfig.layout.squareSize)
+                .attr('height', legendConfig.layout.squareSize)
+                .attr('fill', item.color);
+    
+            legendItem.append('text')
+                .attr('x', 20)
+                .attr('y', 10)
+                .style('font-size', legendConfig.layout.fontSize)
+                .text(item.label);
+        });
+    }
+
+    // Largest group in its own color, the rest grey
+    function highlightFill(key) {
+        return key === topKey ? colorOf(topKey) : colors.ui.darkGrey;
+    }
+
+    // =========== ANIMATION STATES ===========
+    // The narrative, one state per annotation
+    // - enter draws what a state adds going forward
+    // - exit undoes it when going back
+    const segmentStates = groupData.map((group, groupIndex) => ({
+        text: fillTemplate('For {{label}}, there are {{count}} {{items}} making up {{share}}%.', {
+            label: dimension.plural(group.key),
+            count: group.count,
+            items: dimension.items,
+            share: shares[group.key]
+        }),
+        enter(direction) {
+            if (direction !== 'forward') return;
+
+            // Add animated segment, labelled once it has grown
             barGroup.append('rect')
-                .attr('class', 'total-bar')
-                .attr('x', 0)
+                .attr('class', 'group-bar')
+                .attr('data-key', group.key)
+                .attr('x', segmentX(group))
                 .attr('y', 0)
                 .attr('height', barHeight)
-                .attr('fill', colors.ui.lightGrey)
+                .attr('fill', group.color)
                 .attr('width', 0)
+                .style('opacity', 1)
                 .transition()
                 .duration(uiConfig.transitions.duration * 2)
-                .attr('width', width);
-        } 
-        else if (state > 1 && state <= posData.length + 1) {
-            // Add part of speech segments
-            const posIndex = state - 2;
-            const pos = posData[posIndex];
-            
-            // Calculate segment position
-            const previousTotal = posData
-                .slice(0, posIndex)
-                .reduce((acc, curr) => acc + curr.count, 0);
-            
-            // Add animated segment
-            const segment = barGroup.append('rect')
-                .attr('class', 'pos-bar')
-                .attr('data-pos', pos.pos)
-                .attr('x', xScale(previousTotal))
-                .attr('y', 0)
-                .attr('height', barHeight)
-                .attr('fill', colors.pos[pos.pos])
-                .attr('width', 0)
-                .style('opacity', 1);
+                .attr('width', xScale(group.count))
+                .on('end', () => addPercentageLabel(group));
 
-            segment.transition()
-                .duration(uiConfig.transitions.duration * 2)
-                .attr('width', xScale(pos.count))
-                .on('end', () => {
-                    // Add percentage label
-                    const percentage = pos.pos === 'noun' 
-                        ? (pos.count/totalWords*100 - 1).toFixed(0)
-                        : (pos.count/totalWords*100).toFixed(0);
-                    const labelX = xScale(previousTotal) + xScale(pos.count)/2;
-                    
+            // Add legend for first bar
+            if (groupIndex === 0) addLegend();
+        },
+        exit(direction) {
+            if (direction !== 'backward') return;
+            barGroup.selectAll(`[data-key="${group.key}"]`).interrupt().remove();
+            if (groupIndex === 0) svg.selectAll('.legend').remove();
+        }
+    }));
+
+    const states = [
+        { text: "Let's consider our distribution as a whole." },
+        {
+            text: fillTemplate("Recall that we have {{total}} {{items}}. Let's see how many are in each!", { total, items: dimension.items }),
+            enter(direction) {
+                if (direction === 'forward') addTotalBar();
+            },
+            exit(direction) {
+                if (direction === 'backward') barGroup.selectAll('.total-bar').interrupt().remove();
+            }
+        },
+        ...segmentStates,
+        {
+            text: "Let's reorganize this to see the comparison more clearly.",
+            enter(direction) {
+                if (direction !== 'forward') return;
+
+                // Transform to horizontal bar chart
+                barGroup.selectAll('.percentage-label')
+                    .interrupt()
+                    .remove();
+
+                // Transform segments
+                barGroup.selectAll('.group-bar')
+                    .each(function() {
+                        const segment = d3.select(this);
+                        const key = segment.attr('data-key');
+                        const groupInfo = groupData.find(g => g.key === key);
+                        
+                        segment.transition()
+                            .duration(uiConfig.transitions.duration * 3)
+                            .attr('x', 100)
+                            .attr('y', yScale(key)-150)
+                            .attr('width', barScale(groupInfo.count))
+                            .attr('height', yScale.bandwidth());
+                    });
+
+                // Add labels
+                groupData.forEach(group => {
+                    // Category labels
                     barGroup.append('text')
-                        .attr('class', 'percentage-label')
-                        .attr('x', labelX)
-                        .attr('y', barHeight/2)
-                        .attr('text-anchor', 'middle')
+                        .attr('class', 'category-label')
+                        .attr('x', -15+100-width)
+                        .attr('y', yScale(group.key)-150 + yScale.bandwidth()/2)
+                        .attr('data-key', group.key)
+                        .attr('text-anchor', 'end')
+                        .attr('dominant-baseline', 'middle')
+                        .style('font-size', '14px')
+                        .style('font-weight', '500')
+                        .style('opacity', 0)
+                        .text(dimension.short(group.key))
+                        .transition()
+                        .duration(uiConfig.transitions.duration * 4)
+                        .attr('transform', `translate(${width},0)`)
+                        .style('opacity', 1);
+
+                    // Count labels
+                    barGroup.append('text')
+                        .attr('class', 'count-label')
+                        .attr('x', barScale(group.count) + 5+100)
+                        .attr('y', yScale(group.key)-150 + yScale.bandwidth()/2)
+                        .attr('data-key', group.key)
                         .attr('dominant-baseline', 'middle')
-                        .style('fill', 'white')
-                        .style('font-weight', 'bold')
                         .style('font-size', '16px')
                         .style('opacity', 0)
-                        .text(`${percentage}%`)
+                        .text(group.count)
                         .transition()
+                        .delay(uiConfig.transitions.duration * 3)
                         .duration(uiConfig.transitions.duration)
                         .style('opacity', 1);
                 });
 
-            // Add legend for first bar
-            if (posIndex === 0) {
-                const legend = svg.append('g')
-                    .attr('class', 'legend')
-                    .attr('transform', `translate(${width/2-300}, ${height-460})`);
-
-                legendConfig.items.forEach((item, i) => {
-                    const legendX = (i % legendConfig.layout.itemsPerRow) * legendConfig.layout.itemWidth;
-                    const legendY = Math.floor(i % legendConfig.layout.itemsPerRow);
-            
-                    const legendItem = legend.append('g')
-                        .attr('transform', `translate(${legendX}, ${legendY})`);
-            
-                    legendItem.append('rect')
-                        .attr('width', legendConfig.layout.squareSize)
-                        .attr('height', legendConfig.layout.squareSize)
-                        .attr('fill', item.color);
-            
-                    legendItem.append('text')
-                        .attr('x', 20)
-                        .attr('y', 10)
-                        .style('font-size', legendConfig.layout.fontSize)
-                        .text(item.label);
+                // Remove background bar
+                barGroup.select('.total-bar')
+                    .transition()
+                    .duration(uiConfig.transitions.duration)
+                    .style('opacity', 0)
+                    .remove();
+
+                // Remove legend
+                svg.selectAll('.legend')
+                    .transition()
+                    .duration(uiConfig.transitions.duration * 3)
+                    .ease(d3.easeCubicInOut)
+                    .attr('transform', `translate(${width * 1.2},${height - 450})`)
+                    .remove();
+            },
+            exit(direction) {
+                if (direction !== 'backward') return;
+
+                // Back to the stacked bar
+                barGroup.selectAll('.category-label, .count-label').interrupt().remove();
+                svg.selectAll('.legend').interrupt().remove();
+                barGroup.selectAll('.total-bar').interrupt().remove();
+                addTotalBar();
+                addLegend();
+
+                groupData.forEach(group => {
+                    barGroup.select(`.group-bar[data-key="${group.key}"]`)
+                        .transition()
+                        .duration(uiConfig.transitions.duration * 2)
+                        .attr('x', segmentX(group))
+                        .attr('y', 0)
+                        .attr('width', xScale(group.count))
+                        .attr('height', barHeight)
+                        .on('end', () => addPercentageLabel(group));
                 });
             }
-        }
-        else if (state === posData.length + 2) {
-            // Transform to horizontal bar chart
-            barGroup.selectAll('.percentage-label')
-                .style('opacity', 0)
-                .remove();
-
-            // Transform segments
-            barGroup.selectAll('.pos-bar')
-                .each(function() {
-                    const segment = d3.select(this);
-                    const pos = segment.attr('data-pos');
-                    const posInfo = posData.find(p => p.pos === pos);
-                    
-                    segment.transition()
-                        .duration(uiConfig.transitions.duration * 3)
-                        .attr('x', 100)
-                        .attr('y', yScale(pos)-150)
-                        .attr('width', xScale(posInfo.count)*2.3)
-                        .attr('height', yScale.bandwidth());
-                });
+        },
+        {
+            text: fillTemplate(dimension.summary, { topLabel: topKey === null ? '' : dimension.plural(topKey), topRatio }),
+            enter(direction) {
+                if (direction !== 'forward') return;
 
-            // Add y-axis
-            const yAxis = d3.axisLeft(yScale)
-                .tickFormat(d => posMap.plural[d]);
+                // Highlight the largest group against the average
+                barGroup.selectAll('.group-bar')
+                    .transition('recolor')
+                    .duration(uiConfig.transitions.duration * 2)
+                    .attr('fill', function() {
+                        const key = d3.select(this).attr('data-key');
+                        return key === topKey ? colorOf(topKey) : colors.ui.lightGrey;
+                    });
 
-            barGroup.append('g')
-                .attr('class', 'y-axis')
-                .call(yAxis)
-                .style('opacity', 0);
-
-            // Add labels
-            posData.forEach(pos => {
-                // Category labels
-                barGroup.append('text')
-                    .attr('class', 'category-label')
-                    .attr('x', -15+100-width)
-                    .attr('y', yScale(pos.pos)-150 + yScale.bandwidth()/2)
-                    .attr('text-anchor', 'end')
-                    .attr('dominant-baseline', 'middle')
-                    .style('font-size', '14px')
-                    .style('font-weight', '500')
+                // Add average line
+                const averageX = 100 + barScale(average);
+                
+                barGroup.append('line')
+                    .attr('class', 'average-line')
+                    .attr('x1', averageX)
+                    .attr('y1', -200)
+                    .attr('x2', averageX)
+                    .attr('y2', 300)
+                    .style('stroke', colors.ui.darkGrey)
+                    .style('stroke-width', 0.5)
+                    .style('stroke-dasharray', '5,5')
                     .style('opacity', 0)
-                    .text(posMap.abbreviated[pos.pos])
                     .transition()
-                    .duration(uiConfig.transitions.duration * 4)
-                    .attr('transform', (d, i) => `translate(${width},0)`)
+                    .duration(uiConfig.transitions.duration * 2)
                     .style('opacity', 1);
 
-                // Count labels
+                // Add average label
                 barGroup.append('text')
-                    .attr('class', 'count-label')
-                    .attr('x', xScale(pos.count)*2.3 + 5+100)
-                    .attr('y', yScale(pos.pos)-150 + yScale.bandwidth()/2)
-                    .attr('dominant-baseline', 'middle')
-                    .style('font-size', '16px')
+                    .attr('class', 'average-label')
+                    .attr('x', averageX)
+                    .attr('y', -210)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '14px')
+                    .style('fill', colors.ui.darkGrey)
                     .style('opacity', 0)
-                    .text(pos.count)
+                    .text(`Average: ${average}`)
                     .transition()
-                    .delay(uiConfig.transitions.duration * 3)
-                    .duration(uiConfig.transitions.duration)
+                    .duration(uiConfig.transitions.duration * 2)
                     .style('opacity', 1);
-            });
 
-            // Remove background bar
-            barGroup.select('.total-bar')
-                .transition()
-                .duration(uiConfig.transitions.duration)
-                .style('opacity', 0)
-                .remove();
+                // Update text colors
+                barGroup.selectAll('.category-label, .count-label')
+                    .transition()
+                    .duration(uiConfig.transitions.duration * 2)
+                    .style('fill', function() {
+                        return highlightFill(d3.select(this).attr('data-key'));
+                    });
+            },
+            exit(direction) {
+                if (direction !== 'backward') return;
 
-            // Remove legend
-            svg.selectAll('.legend')
-                .transition()
-                .duration(uiConfig.transitions.duration * 3)
-                .ease(d3.easeCubicInOut)
-                .attr('transform', (d, i) => `translate(${width * 1.2},${height - 450})`)
-                .remove();
-
-        } 
-        else if (state === posData.length + 3) {
-            // Highlight noun comparison
-            barGroup.selectAll('.pos-bar')
-                .transition()
-                .duration(uiConfig.transitions.duration * 2)
-                .attr('fill', function() {
-                    const pos = d3.select(this).attr('data-pos');
-                    return pos === 'noun' ? colors.pos.noun : colors.ui.lightGrey;
-                });
+                // Back to every group in its own color
+                barGroup.selectAll('.average-line, .average-label').interrupt().remove();
 
-            // Add average line
-            const averageX = 100 + xScale(average)*2.3;
-            
-            barGroup.append('line')
-                .attr('class', 'average-line')
-                .attr('x1', averageX)
-                .attr('y1', -200)
-                .attr('x2', averageX)
-                .attr('y2', 300)
-                .style('stroke', colors.ui.darkGrey)
-                .style('stroke-width', 0.5)
-                .style('stroke-dasharray', '5,5')
-                .style('opacity', 0)
-                .transition()
-                .duration(uiConfig.transitions.duration * 2)
-                .style('opacity', 1);
-
-            // Add average label
-            barGroup.append('text')
-                .attr('class', 'average-label')
-                .attr('x', averageX)
-                .attr('y', -210)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '14px')
-                .style('fill', colors.ui.darkGrey)
-                .style('opacity', 0)
-                .text(`Average: ${average}`)
-                .transition()
-                .duration(uiConfig.transitions.duration * 2)
-                .style('opacity', 1);
+                barGroup.selectAll('.group-bar')
+                    .transition('recolor')
+                    .duration(uiConfig.transitions.duration * 2)
+                    .attr('fill', function() {
+                        return colorOf(d3.select(this).attr('data-key'));
+                    });
 
-            // Update text colors
-            barGroup.selectAll('.category-label')
-                .transition()
-                .duration(uiConfig.transitions.duration * 2)
-                .style('fill', function() {
-                    const labelText = d3.select(this).text();
-                    return labelText === posMap.abbreviated.noun ? colors.pos.noun : colors.ui.darkGrey;
-                });
+                barGroup.selectAll('.category-label, .count-label')
+                    .transition()
+                    .duration(uiConfig.transitions.duration * 2)
+                    .style('fill', colors.ui.darkGrey);
+            }
+        }
+    ];
 
-            barGroup.selectAll('.count-label')
+    // =========== STATE MACHINE ===========
+    // Annotation and buttons follow the current state
+    const machine = createStepMachine(states, {
+        onChange: index => {
+            annotation
+                .style('opacity', 0)
                 .transition()
-                .duration(uiConfig.transitions.duration * 2)
-                .style('fill', function() {
-                    const y = parseFloat(d3.select(this).attr('y'));
-                    const nounY = yScale('noun')-150 + yScale.bandwidth()/2;
-                    return Math.abs(y - nounY) < 1 ? colors.pos.noun : colors.ui.darkGrey;
-                });
-        }
+                .duration(uiConfig.transitions.duration)
+                .style('opacity', 1)
+                .text(states[index].text);
 
-        // Update button state
-        if (state === states.length - 1) {
-            nextButton.style('opacity', 0.5)
-                .style('pointer-events', 'none');
+            backButton.style('opacity', machine.hasPrevious() ? 1 : 0.5);
+            nextButton.style('opacity', machine.hasNext() ? 1 : 0.5);
+        },
+        onPlayingChange: playing => {
+            replayButton.select('text').text(playing ? '❚❚ Stop' : '↺ Replay');
         }
-    }
+    });
 
     // =========== INITIALIZATION ===========
     // Initialize first state
-    updateState(0);
+    machine.goTo(0);
 
-    // Add click handler for next button
     nextButton.on('click', () => {
-        if (currentState < states.length - 1) {
-            currentState++;
-            updateState(currentState);
-        }
+        machine.stop();
+        machine.next();
+    });
+
+    backButton.on('click', () => {
+        machine.stop();
+        machine.prev();
     });
-}
\ No newline at end of file
+
+    replayButton.on('click', () => machine.playing() ? machine.stop() : machine.replay());
+
+    // Scrolling through the step moves through the states both ways,
+    // and presentation mode moves one state per key press
+    bindStoryEvents(visContainer, machine);
+
+    // Stop a replay when the chart goes away
+    return () => {
+        machine.stop();
+    };
+}
@@ -0,0 +1,150 @@
+// =========== STEP MACHINE ===========
+// Walk a chart's in-chart narrative one state at a time, in either direction
+// - Each state may define enter(direction) and exit(direction), where
+//   direction is 'forward' or 'backward'
+// - Moving exits the current state, then enters the new one
+// - States that build on the one before are walked through one at a time;
+//   with jump, every state draws the whole picture and goTo skips straight there
+// - stops are the states next and prev land on, every state by default
+// - Buttons, scrolling and story keys can all drive the same machine
+// - Moving leaves playback running; whatever acts for the reader
+//   (buttons, story keys) calls stop first
+import { uiConfig } from './cellconfig.js';
+
+export function createStepMachine(states, {
+    onChange = () => {},
+    onPlayingChange = () => {},
+    stops = null,
+    jump = false,
+    delay = uiConfig.transitions.duration * 3
+} = {}) {
+    let current = -1;
+    let timer = null;
+
+    const stopIndices = (stops || d3.range(states.length))
+        .filter(index => index >= 0 && index < states.length)
+        .sort((a, b) => a - b);
+
+    // =========== MOVING ===========
+    // Exit the current state and enter the target, reporting the change
+    function enter(target, direction) {
+        const previous = current;
+        if (previous >= 0 && states[previous].exit) states[previous].exit(direction);
+        current = target;
+        if (states[current].enter) states[current].enter(direction);
+        onChange(current, previous);
+    }
+
+    function moveTo(index) {
+        const target = Math.max(0, Math.min(states.length - 1, index));
+        if (target === current) return false;
+
+        if (jump) {
+            enter(target, target > current ? 'forward' : 'backward');
+        } else {
+            while (current < target) enter(current + 1, 'forward');
+            while (current > target) enter(current - 1, 'backward');
+        }
+        return true;
+    }
+
+    function nextStop() {
+        return stopIndices.find(index => index > current);
+    }
+
+    function previousStop() {
+        return d3.max(stopIndices.filter(index => index < current));
+    }
+
+    // =========== PLAYBACK ===========
+    // Step forward one state at a time until the last one
+    function stop() {
+        if (!timer) return;
+        timer.stop();
+        timer = null;
+        onPlayingChange(false);
+    }
+
+    function play() {
+        stop();
+        if (current >= states.length - 1) moveTo(0);
+        timer = d3.interval(() => {
+            moveTo(current + 1);
+            if (current >= states.length - 1) stop();
+        }, delay);
+        onPlayingChange(true);
+    }
+
+    // =========== PUBLIC API ===========
+    // - goTo, next and prev return whether the machine moved
+    // - replay starts again from the first state
+    const machine = {
+        count: states.length,
+
+        index() {
+            return current;
+        },
+
+        goTo: moveTo,
+
+        next() {
+            const index = nextStop();
+            return index !== undefined && moveTo(index);
+        },
+
+        prev() {
+            const index = previousStop();
+            return index !== undefined && moveTo(index);
+        },
+
+        hasNext() {
+            return nextStop() !== undefined;
+        },
+
+        hasPrevious() {
+            return previousStop() !== undefined;
+        },
+
+        play,
+
+        replay() {
+            stop();
+            moveTo(0);
+            play();
+        },
+
+        stop,
+
+        playing() {
+            return timer !== null;
+        }
+    };
+
+    return machine;
+}
+
+// =========== STORY EVENTS ===========
+// Let the story drive a machine
+// - Story keys stop playback and move between stops,
+//   falling through to the story at either end
+// - Scrolling through the step picks a state from its progress, unless playing;
+//   pass progressToIndex: null to handle progress yourself
+export function bindStoryEvents(visContainer, machine, {
+    progressToIndex = progress => Math.floor(progress * machine.count)
+} = {}) {
+    visContainer.on('storynext.chart', event => {
+        machine.stop();
+        if (machine.next()) event.preventDefault();
+    });
+
+    visContainer.on('storyprev.chart', event => {
+        machine.stop();
+        if (machine.prev()) event.preventDefault();
+    });
+
+    if (progressToIndex) {
+        visContainer.on('stepprogress.chart', event => {
+            if (!machine.playing()) machine.goTo(progressToIndex(event.detail.progress));
+        });
+    }
+}
@@ -0,0 +1,91 @@
+// =========== STORY DEFINITION ===========
+// Load the narrative from a JSON story file and render its steps
+// - Each step has an id, title, body and the visualization it shows
+// - Ids name steps in links, so steps can be added or reordered freely
+// - A different story can be opened with ?story=other.json
+import { storyConfig } from './cellconfig.js';
+import { fillTemplate } from './storyStats.js';
+
+// =========== LOADING ===========
+// Fetch the story named in the page URL, or the configured default
+export function storyUrl() {
+    return new URLSearchParams(window.location.search).get('story') || storyConfig.url;
+}
+
+// Check the story's shape and fill in defaults
+// - Missing ids fall back to step-N
+// - Unknown visualization types and duplicate ids are errors
+// - chartTypes lists the chart types the page can draw, besides images
+function normalizeStory(story, url, chartTypes) {
+    if (!story || !Array.isArray(story.steps) || !story.steps.length) {
+        throw new Error(`${url} must define a non-empty "steps" array`);
+    }
+
+    const ids = new Set();
+    const steps = story.steps.map((step, i) => {
+        const id = String(step.id ?? `step-${i + 1}`);
+        if (ids.has(id)) {
+            throw new Error(`${url}: step id "${id}" is used more than once`);
+        }
+        ids.add(id);
+
+        const vis = step.vis || null;
+        if (vis && vis.type !== 'image' && !chartTypes.includes(vis.type)) {
+            throw new Error(`${url}: step "${id}" has unknown visualization type "${vis.type}"`);
+        }
+        if (vis && vis.type === 'image' && !vis.src) {
+            throw new Error(`${url}: image step "${id}" needs a "src"`);
+        }
+
+        return {
+            id,
+            title: step.title || '',
+            body: Array.isArray(step.body) ? step.body.join('') : (step.body || ''),
+            vis
+        };
+    });
+
+    return { ...story, steps };
+}
+
+export async function loadStory(url, chartTypes) {
+    return normalizeStory(await d3.json(url), url, chartTypes);
+}
+
+// =========== RENDERING ===========
+// Write the title and one .step per story step for the scroller to pick up
+// - Bodies are HTML, so steps can use lists and emphasis
+// - {{name}} placeholders are filled from the story statistics, escaped in bodies
+// - Rendering again keeps the same step elements, so the scroller keeps observing them
+export function renderStory(story, stats = {}) {
+    if (story.title) d3.select('.intro-title').text(fillTemplate(story.title, stats));
+    if (story.pageTitle) document.title = story.pageTitle;
+
+    const steps = d3.select('#sections')
+        .selectAll('.step')
+        .data(story.steps, d => d.id)
+        .join('div')
+        .attr('class', 'step')
+        .attr('data-step', d => d.id);
+
+    steps.selectAll('*').remove();
+
+    steps.append('div')
+        .attr('class', 'title')
+        .text(d => fillTemplate(d.title, stats));
+
+    steps.append('div')
+        .attr('class', 'step-body')
+        .html(d => fillTemplate(d.body, stats, { html: true }));
+}
+
+// =========== STEP LOOKUP ===========
+// Find a step's index from the id in a link
+// - Ids may look like numbers, so links never name steps by position
+// - Returns null when the link names no known step
+export function stepIndex(story, step) {
+    if (step === null || step === undefined) return null;
+
+    const index = story.steps.findIndex(d => d.id === step);
+    return index !== -1 ? index : null;
+}
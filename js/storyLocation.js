@@ -0,0 +1,43 @@
+// =========== STORY LOCATION ===========
+// Keep the active step and chart state in the URL hash
+// - Hash looks like #step=heatmap&date=2024-06-14&view=agreement
+// - Step changes push history entries, chart state changes replace them
+// - Arrays are stored comma-separated
+
+// =========== READING ===========
+// Parse the hash into a step id and a flat chart state object
+// - step is null when the hash does not name one
+export function readStoryLocation() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const step = params.get('step') || null;
+    params.delete('step');
+
+    return {
+        step,
+        state: Object.fromEntries(params)
+    };
+}
+
+// =========== WRITING ===========
+// Store a step and its chart state in the hash
+// - push adds a history entry so back/forward can move between steps
+// - Empty values are left out to keep links short
+export function writeStoryLocation(step, state = {}, push = false) {
+    const params = new URLSearchParams({ step });
+    Object.entries(state).forEach(([key, value]) => {
+        const text = Array.isArray(value) ? value.join(',') : value;
+        if (text !== undefined && text !== null && text !== '') {
+            params.set(key, text);
+        }
+    });
+
+    // Commas are safe in a fragment, so keep lists readable
+    const hash = `#${params.toString().replace(/%2C/g, ',')}`;
+    if (hash === window.location.hash) return;
+
+    if (push) {
+        history.pushState(null, '', hash);
+    } else {
+        history.replaceState(null, '', hash);
+    }
+}
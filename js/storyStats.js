@@ -0,0 +1,85 @@
+// =========== STORY STATISTICS ===========
+// Live numbers for story text and chart annotations
+// - Computed from the loaded review data, so they follow dropped exports
+//   and time zone changes
+// - Text references them as {{name}} placeholders
+import { posMap } from './cellconfig.js';
+import { dayKey } from './timeZones.js';
+
+const MS_PER_DAY = 86400 * 1000;
+
+// =========== STREAKS ===========
+// Longest run of consecutive days with at least one review
+// - Days are counted on the display clock
+function longestStreak(reviews) {
+    const days = Array.from(new Set(reviews.map(d => dayKey(d.date)))).sort();
+
+    let longest = 0;
+    let current = 0;
+    let previous = null;
+    days.forEach(day => {
+        const time = Date.parse(day);
+        current = previous !== null && time - previous === MS_PER_DAY ? current + 1 : 1;
+        longest = Math.max(longest, current);
+        previous = time;
+    });
+
+    return longest;
+}
+
+// =========== PUBLIC API ===========
+// Compute every statistic the story can reference
+// - retention: share of graduated-card reviews answered good, as Anki's true retention
+// - topPos: most common part of speech (plural label), with its count, share and
+//   how many times the average part of speech it is
+export function computeStoryStats(reviewData) {
+    const { reviews, words } = reviewData;
+
+    const posCounts = Object.fromEntries(d3.rollups(words, v => v.length, d => d.partOS));
+    const [topPosKey, topPosCount] = d3.greatest(Object.entries(posCounts), ([, count]) => count) || [null, 0];
+    const averagePosCount = Math.round(words.length / Math.max(1, Object.keys(posCounts).length));
+
+    const matureReviews = reviews.filter(d => d.state === 'review');
+    const goodReviews = reviews.filter(d => d.score === 'good').length;
+
+    return {
+        totalWords: words.length,
+        totalWordsRounded: Math.floor(words.length / 100) * 100,
+        totalReviews: reviews.length,
+        goodRate: reviews.length ? Math.round(goodReviews / reviews.length * 100) : 0,
+        retention: matureReviews.length
+            ? Math.round(matureReviews.filter(d => d.score === 'good').length / matureReviews.length * 100)
+            : 0,
+        daysStudied: new Set(reviews.map(d => dayKey(d.date))).size,
+        longestStreak: longestStreak(reviews),
+        posCounts,
+        averagePosCount,
+        topPosKey,
+        topPos: topPosKey ? (posMap.plural[topPosKey] || topPosKey) : '',
+        topPosCount,
+        topPosShare: words.length ? Math.round(topPosCount / words.length * 100) : 0,
+        topPosRatio: averagePosCount ? Math.round(topPosCount / averagePosCount * 10) / 10 : 0
+    };
+}
+
+// =========== TEMPLATES ===========
+// Replace {{name}} placeholders with values
+// - Large whole numbers get thousands separators
+// - Unknown names are left in place so typos stay visible
+// - With html set, values are escaped so only the authored text is markup
+const formatCount = d3.format(',');
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+export function fillTemplate(text, values, { html = false } = {}) {
+    return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        if (!Object.hasOwn(values, name)) return match;
+        const value = values[name];
+        const filled = Number.isInteger(value) ? formatCount(value) : String(value);
+        return html ? escapeHtml(filled) : filled;
+    });
+}
@@ -0,0 +1,112 @@
+// =========== TIME ZONES ===========
+// Keep review timestamps independent of the viewer's own time zone
+// - Source zone: where the dataset's wall-clock dates were recorded
+// - Display zone: where days and hours are bucketed for the charts
+// - Conversions go through Intl, so no time zone database is bundled
+import { timeConfig } from './cellconfig.js';
+
+let sourceTimeZone = timeConfig.sourceTimeZone;
+let displayTimeZone = timeConfig.displayTimeZone || timeConfig.sourceTimeZone;
+
+// =========== ZONE SETTINGS ===========
+export function getSourceTimeZone() {
+    return sourceTimeZone;
+}
+
+export function setSourceTimeZone(timeZone) {
+    sourceTimeZone = timeZone;
+}
+
+export function getDisplayTimeZone() {
+    return displayTimeZone;
+}
+
+export function setDisplayTimeZone(timeZone) {
+    displayTimeZone = timeZone;
+}
+
+// Every zone the browser knows, with the viewer's own zone included
+export function listTimeZones() {
+    const zones = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('timeZone')
+        : [];
+    const local = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return Array.from(new Set(['UTC', local, sourceTimeZone, displayTimeZone, ...zones]));
+}
+
+// =========== WALL-CLOCK CONVERSION ===========
+// Formatters are expensive to build, so keep one per zone
+const partFormatters = new Map();
+
+function getPartFormatter(timeZone) {
+    if (!partFormatters.has(timeZone)) {
+        partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return partFormatters.get(timeZone);
+}
+
+// Read the wall-clock fields of an instant in a given zone
+// - month is 1-based, like the calendar
+export function zonedParts(date, timeZone = displayTimeZone) {
+    const parts = {};
+    getPartFormatter(timeZone).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    });
+    return parts;
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function getOffset(time, timeZone) {
+    const parts = zonedParts(new Date(time), timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+// Find the instant at which a zone's clock shows the given wall-clock time
+// - wallTime is the wall-clock reading expressed as UTC milliseconds
+// - Second pass settles times close to a daylight saving change
+export function wallTimeToDate(wallTime, timeZone = sourceTimeZone) {
+    let time = wallTime - getOffset(wallTime, timeZone);
+    time = wallTime - getOffset(time, timeZone);
+    return new Date(time);
+}
+
+// Express an instant as a zone's wall-clock reading in UTC milliseconds
+export function dateToWallTime(date, timeZone = sourceTimeZone) {
+    return date.getTime() + getOffset(date.getTime(), timeZone);
+}
+
+// =========== DISPLAY BUCKETING ===========
+// Day keys and hours in the display zone, used by every chart
+export function dayKey(date) {
+    const { year, month, day } = zonedParts(date);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export function hourOf(date) {
+    return zonedParts(date).hour;
+}
+
+const dateFormatters = new Map();
+
+// Long date (e.g. "June 14, 2024") in the display zone
+export function formatDate(date) {
+    if (!dateFormatters.has(displayTimeZone)) {
+        dateFormatters.set(displayTimeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: displayTimeZone,
+            year: 'numeric',
+            month: 'long',
+            day: '2-digit'
+        }));
+    }
+    return dateFormatters.get(displayTimeZone).format(date);
+}
@@ -3,9 +3,79 @@
 // - Color schemes and mappings
 // - Category definitions
 // - UI configuration settings
-import { colors, posMap, categoryMap, legendConfig, uiConfig, milestoneConfig } from './cellconfig.js';
+import { colors, posMap, categoryMap, legendConfig, uiConfig } from './cellconfig.js';
+import { formatDate } from './timeZones.js';
+import { firstReviewWeeks } from './dataModel.js';
+import { detectMilestones, applyMilestoneOverrides } from './milestones.js';
+import { showWordDetail } from './wordDetail.js';
+import { createStepMachine, bindStoryEvents } from './stepMachine.js';
+
+// Anki treats cards with an interval of 21 days or more as mature
+const MATURE_INTERVAL_DAYS = 21;
+const MS_PER_DAY = 86400 * 1000;
+
+// =========== SQUARE ENCODINGS ===========
+// Metrics the squares can be colored by besides part of speech
+// - value returns null when a word has no value yet (drawn grey)
+// - Sequential scales run from the lowest value to the highest
+// - Success rate goes from red to green, while bad reviews and days until
+//   mature darken as words get harder
+const encodings = {
+    pos: {
+        label: 'Part of Speech'
+    },
+    successRate: {
+        label: 'Success Rate',
+        value: d => d.successRate,
+        format: d => `${Math.round(d)}%`,
+        domain: () => [0, 100],
+        interpolator: d3.interpolateRdYlGn
+    },
+    lapses: {
+        label: 'Bad Reviews',
+        value: d => d.lapses,
+        format: d3.format('d'),
+        domain: words => [0, d3.max(words, d => d.lapses) || 1],
+        interpolator: d3.interpolateReds
+    },
+    daysToMature: {
+        label: 'Days Until Mature',
+        value: d => d.daysToMature,
+        format: d => `${Math.round(d)}d`,
+        domain: words => [0, d3.max(words, d => d.daysToMature) || 1],
+        interpolator: d3.interpolateYlOrRd,
+        missing: 'Not mature yet'
+    },
+    agreement: {
+        label: 'Agreement Rate',
+        value: d => d.agreement,
+        format: d => `${Math.round(d)}%`,
+        domain: () => [0, 100],
+        interpolator: d3.interpolatePuBu
+    }
+};
+const encodingKeys = Object.keys(encodings);
+
+// Charts cross-fade while the step changes, so two can be on the page at once
+// - Each gets its own gradient id
+let chartCount = 0;
+
+// Per-word metrics for the encodings
+function wordMetrics(word) {
+    const total = word.goodReviews + word.badReviews;
+    const mature = word.reviews.find(d => d.intervalDays >= MATURE_INTERVAL_DAYS);
+
+    return {
+        successRate: total ? word.goodReviews / total * 100 : null,
+        lapses: word.badReviews,
+        daysToMature: mature ? (mature.date - word.firstReview) / MS_PER_DAY : null,
+        agreement: word.reviews.length
+            ? word.reviews.filter(d => d.agree === 'yes').length / word.reviews.length * 100
+            : null
+    };
+}
 
-export function createWaffleChart(visContainer, rawData) {
+export function createWaffleChart(visContainer, reviewData, { state = {}, onStateChange = () => {}, config = {} } = {}) {
     // =========== CONSTANTS & SETUP ===========
     // Define core visualization parameters
     // - Margins and dimensions
@@ -28,65 +98,41 @@ export function createWaffleChart(visContainer, rawData) {
         .attr('transform', `translate(${margin.left},${margin.top})`);
 
     // =========== DATA PROCESSING ===========
-    // Process raw data into visualization format
+    // Process words into visualization format
     // - Track first reviews of words
     // - Create vocabulary mappings
     // - Calculate date ranges
     const firstReviews = new Map();
     const vocabData = new Map();
-    let minDate = new Date(3000, 0);
-    let maxDate = new Date(0);
-
-    // Process initial review dates and find range
-    rawData.forEach(d => {
-        const word = d.jpn;
-        const reviewDate = new Date(Number(d.reviewDate - 25569) * 86400 * 1000);
-        
-        if (!firstReviews.has(word) || reviewDate < firstReviews.get(word).date) {
-            firstReviews.set(word, {
-                date: reviewDate,
-                category: d.category,
-                pos: d.partOS,
-                english: d.eng
-            });
 
-            minDate = reviewDate < minDate ? reviewDate : minDate;
-            maxDate = reviewDate > maxDate ? reviewDate : maxDate;
-        }
+    reviewData.words.forEach(word => {
+        firstReviews.set(word.key, {
+            date: word.firstReview,
+            category: word.category,
+            pos: word.partOS,
+            english: word.eng,
+            details: word,
+            metrics: wordMetrics(word)
+        });
     });
 
     // =========== WEEKLY DATA ORGANIZATION ===========
-    // Group data by weeks for timeline visualization
-    const weeklyData = new Map();
-    const msPerWeek = 7 * 24 * 60 * 60 * 1000;
-    let currentDate = new Date(minDate);
-
-    while (currentDate <= maxDate) {
-        const weekEnd = new Date(currentDate.getTime() + msPerWeek);
-        const weekKey = currentDate.toISOString();
-        weeklyData.set(weekKey, {
-            start: currentDate,
-            end: weekEnd,
-            words: []
-        });
-        currentDate = weekEnd;
-    }
+    // Number weeks from the first review
+    // - A word belongs to the week it was first reviewed in
+    // - Week n shows every word from weeks before n
+    const { weekCount, weekOf } = firstReviewWeeks(reviewData.words);
+
+    // =========== MILESTONES ===========
+    // Suggested from the data, with the story's hand-written ones on top
+    const milestones = applyMilestoneOverrides(
+        detectMilestones(reviewData, { weekOf, weekCount }),
+        config.milestones
+    );
+    const milestoneWeeks = milestones.map(d => d.week);
 
     // =========== VOCABULARY ORGANIZATION ===========
-    // Organize words into weeks and categories
-    firstReviews.forEach((data, word) => {
-        // Add to weekly timeline data
-        for (let [weekKey, week] of weeklyData) {
-            if (data.date >= week.start && data.date < week.end) {
-                week.words.push({
-                    word: word,
-                    ...data
-                });
-                break;
-            }
-        }
-
-        // Add to category groupings
+    // Organize words into categories
+    firstReviews.forEach((data, key) => {
         const category = data.category;
         if (!vocabData.has(category)) {
             vocabData.set(category, {
@@ -94,11 +140,20 @@ export function createWaffleChart(visContainer, rawData) {
                 words: []
             });
         }
+
+        // Squares keep their grid cell, so words can leave and come back in place
+        const wordIndex = vocabData.get(category).words.length;
         vocabData.get(category).words.push({
-            word: word,
+            key,
+            word: data.details.jpn,
             pos: data.pos,
             date: data.date,
-            english: data.english
+            english: data.english,
+            details: data.details,
+            ...data.metrics,
+            week: weekOf(data.date),
+            col: Math.floor(wordIndex / squaresPerColumn),
+            row: wordIndex % squaresPerColumn
         });
     });
 
@@ -156,162 +211,430 @@ export function createWaffleChart(visContainer, rawData) {
         .style('font-weight', 'bold');
 
     // =========== NAVIGATION CONTROLS ===========
-    // Create navigation buttons and controls
+    // Milestone buttons and play/pause below the timeline
     const navigationContainer = svg.append('g')
         .attr('class', 'navigation')
-        .attr('transform', `translate(${width/2-100}, ${height-240})`);
-
-    const nextButton = navigationContainer.append('g')
-        .attr('class', 'next-button')
-        .style('cursor', 'pointer');
-
-    nextButton.append('rect')
-        .attr('width', 100)
-        .attr('height', 30)
-        .attr('rx', 4)
-        .attr('fill', colors.pos.verb);
+        .attr('transform', `translate(${width/2-160}, ${height-240})`);
+
+    function addButton(className, label, x) {
+        const button = navigationContainer.append('g')
+            .attr('class', className)
+            .attr('transform', `translate(${x}, 0)`)
+            .style('cursor', 'pointer');
+
+        button.append('rect')
+            .attr('width', 100)
+            .attr('height', 30)
+            .attr('rx', 4)
+            .attr('fill', colors.pos.verb);
+
+        button.append('text')
+            .attr('x', 50)
+            .attr('y', 20)
+            .attr('text-anchor', 'middle')
+            .attr('fill', 'white')
+            .text(label);
+
+        return button;
+    }
 
-    nextButton.append('text')
-        .attr('x', 20)
-        .attr('y', 20)
+    const backButton = addButton('back-button', '← Back', 0);
+    const playButton = addButton('play-button', '▶ Play', 110);
+    const nextButton = addButton('next-button', 'Next →', 220);
+
+    // =========== TIMELINE ===========
+    // Week scrubber with a tick per milestone
+    // - Drag or click anywhere on the track to jump to a week
+    const timelineWidth = 320;
+    const weekScale = d3.scaleLinear()
+        .domain([0, weekCount])
+        .range([0, timelineWidth])
+        .clamp(true);
+
+    const timeline = svg.append('g')
+        .attr('class', 'week-timeline')
+        .attr('transform', `translate(${width/2-timelineWidth/2}, ${height-270})`);
+
+    timeline.append('line')
+        .attr('class', 'timeline-track')
+        .attr('x2', timelineWidth)
+        .style('stroke', colors.ui.lightGrey)
+        .style('stroke-width', 4)
+        .style('stroke-linecap', 'round');
+
+    const timelineProgress = timeline.append('line')
+        .attr('class', 'timeline-progress')
+        .style('stroke', colors.pos.verb)
+        .style('stroke-width', 4)
+        .style('stroke-linecap', 'round');
+
+    // Suggested milestones are hollow, hand-written ones filled
+    timeline.selectAll('.milestone-tick')
+        .data(milestones)
+        .join('circle')
+        .attr('class', 'milestone-tick')
+        .attr('cx', d => weekScale(d.week))
+        .attr('r', 3)
+        .attr('fill', d => d.source === 'author' ? colors.ui.darkGrey : 'white')
+        .attr('stroke', colors.ui.darkGrey)
+        .append('title')
+        .text(d => d.description);
+
+    const timelineHandle = timeline.append('circle')
+        .attr('class', 'timeline-handle')
+        .attr('r', 7)
         .attr('fill', 'white')
-        .text('Next →');
+        .attr('stroke', colors.pos.verb)
+        .attr('stroke-width', 2);
+
+    const timelineLabel = timeline.append('text')
+        .attr('class', 'timeline-label')
+        .attr('x', timelineWidth + 15)
+        .attr('dy', '0.35em')
+        .style('font-size', '12px');
+
+    // Transparent hit area, so the drag coordinates are timeline coordinates
+    timeline.append('rect')
+        .attr('x', -10)
+        .attr('y', -12)
+        .attr('width', timelineWidth + 20)
+        .attr('height', 24)
+        .attr('fill', 'transparent')
+        .style('cursor', 'pointer')
+        .call(d3.drag().on('start drag', event => {
+            machine.stop();
+            machine.goTo(Math.round(weekScale.invert(event.x)));
+        }));
 
     // =========== LEGEND ===========
-    // Add legend with part of speech categories
+    // Part of speech swatches, or a gradient for the metric encodings
+    // - Metric legends show the scale's range and the no-value color
+    let encoding = encodingKeys.includes(state.color) ? state.color : 'pos';
+    let colorScale = null;
+    const allWords = categoryData.flatMap(d => d.words);
+
     const legend = svg.append('g')
         .attr('class', 'legend')
         .attr('transform', `translate(${width/2-225}, ${height-295})`);
 
-    legendConfig.items.forEach((item, i) => {
-        const legendX = (i % legendConfig.layout.itemsPerRow) * legendConfig.layout.itemWidth;
-        const legendY = Math.floor(i % legendConfig.layout.itemsPerRow);
+    const gradientId = `waffle-legend-gradient-${++chartCount}`;
+    const legendGradient = svg.append('defs')
+        .append('linearGradient')
+        .attr('id', gradientId);
+
+    function renderLegend() {
+        legend.selectAll('*').remove();
+
+        if (encoding === 'pos') {
+            legendConfig.items.forEach((item, i) => {
+                const legendX = (i % legendConfig.layout.itemsPerRow) * legendConfig.layout.itemWidth;
+                const legendY = Math.floor(i / legendConfig.layout.itemsPerRow) * 20;
+
+                const legendItem = legend.append('g')
+                    .attr('transform', `translate(${legendX}, ${legendY})`);
+
+                legendItem.append('rect')
+                    .attr('width', legendConfig.layout.squareSize)
+                    .attr('height', legendConfig.layout.squareSize)
+                    .attr('fill', item.color);
+
+                legendItem.append('text')
+                    .attr('x', 20)
+                    .attr('y', 10)
+                    .style('font-size', legendConfig.layout.fontSize)
+                    .text(item.label);
+            });
+            return;
+        }
+
+        const { label, format, missing } = encodings[encoding];
+        const [min, max] = colorScale.domain();
 
-        const legendItem = legend.append('g')
-            .attr('transform', `translate(${legendX}, ${legendY})`);
+        legendGradient.selectAll('stop')
+            .data(d3.range(0, 1.01, 0.1))
+            .join('stop')
+            .attr('offset', d => `${d * 100}%`)
+            .attr('stop-color', d => colorScale(min + d * (max - min)));
 
-        legendItem.append('rect')
-            .attr('width', legendConfig.layout.squareSize)
+        legend.append('text')
+            .attr('x', 225)
+            .attr('y', -4)
+            .attr('text-anchor', 'middle')
+            .style('font-size', legendConfig.layout.fontSize)
+            .style('font-weight', 'bold')
+            .text(label);
+
+        legend.append('rect')
+            .attr('x', 75)
+            .attr('width', 300)
             .attr('height', legendConfig.layout.squareSize)
-            .attr('fill', item.color);
+            .attr('fill', `url(#${gradientId})`);
+
+        legend.append('text')
+            .attr('x', 69)
+            .attr('y', 10)
+            .attr('text-anchor', 'end')
+            .style('font-size', legendConfig.layout.fontSize)
+            .text(format(min));
 
-        legendItem.append('text')
-            .attr('x', 20)
+        legend.append('text')
+            .attr('x', 381)
             .attr('y', 10)
             .style('font-size', legendConfig.layout.fontSize)
-            .text(item.label);
+            .text(format(max));
+
+        if (missing) {
+            legend.append('rect')
+                .attr('x', 430)
+                .attr('width', legendConfig.layout.squareSize)
+                .attr('height', legendConfig.layout.squareSize)
+                .attr('fill', colors.ui.lightGrey);
+
+            legend.append('text')
+                .attr('x', 450)
+                .attr('y', 10)
+                .style('font-size', legendConfig.layout.fontSize)
+                .text(missing);
+        }
+    }
+
+    // Fill for a square under the current encoding
+    function squareColor(d) {
+        if (encoding === 'pos') return colors.pos[d.pos];
+        const value = encodings[encoding].value(d);
+        return value === null ? colors.ui.lightGrey : colorScale(value);
+    }
+
+    // Switch encodings, recoloring the squares already on screen
+    function setEncoding(key) {
+        encoding = key;
+        const { domain, interpolator } = encodings[encoding];
+        colorScale = interpolator
+            ? d3.scaleSequential(interpolator).domain(domain(allWords))
+            : null;
+
+        svg.selectAll('.square')
+            .transition('recolor')
+            .duration(uiConfig.transitions.duration)
+            .attr('fill', squareColor);
+
+        encodingButton.select('text').text(`Color: ${encodings[encoding].label}`);
+        renderLegend();
+    }
+
+    // =========== ENCODING TOGGLE ===========
+    // Cycle through the encodings
+    const encodingButton = svg.append('g')
+        .attr('class', 'encoding-button')
+        .attr('transform', `translate(${width-200}, -45)`)
+        .style('cursor', 'pointer');
+
+    encodingButton.append('rect')
+        .attr('width', 200)
+        .attr('height', 30)
+        .attr('rx', 5)
+        .attr('fill', colors.pos.verb);
+
+    encodingButton.append('text')
+        .attr('x', 100)
+        .attr('y', 20)
+        .attr('text-anchor', 'middle')
+        .attr('fill', 'white');
+
+    encodingButton.on('click', () => {
+        setEncoding(encodingKeys[(encodingKeys.indexOf(encoding) + 1) % encodingKeys.length]);
+        reportState();
     });
 
     // =========== VISUALIZATION UPDATE ===========
-    // Handle word square creation and updates
-    function showNewWords(startWeek, endWeek) {
-        const weeks = Array.from(weeklyData.entries());
-        const newWords = [];
-        
-        // Collect words for the time period
-        for (let i = startWeek; i < endWeek && i < weeks.length; i++) {
-            newWords.push(...weeks[i][1].words);
+    // Show every word first reviewed before the given week
+    // - Squares are keyed by word, so scrubbing back removes them again
+    // - New squares slide in oldest first, the stagger shrinks for big jumps
+    const lastMilestoneWeek = d3.max(milestoneWeeks) || weekCount;
+    let currentWeek = null;
+
+    function renderSquares(week) {
+        const entering = categoryData
+            .flatMap(d => d.words)
+            .filter(d => d.week < week && (currentWeek === null || d.week >= currentWeek))
+            .sort((a, b) => a.date - b.date);
+        const enterOrder = new Map(entering.map((d, i) => [d.key, i]));
+        const stagger = Math.min(uiConfig.transitions.delay, 1500 / Math.max(1, entering.length));
+
+        categoryGroups.each(function(category, categoryIndex) {
+            d3.select(this)
+                .selectAll('.square')
+                .data(category.words.filter(d => d.week < week), d => d.key)
+                .join(
+                    enter => enter.append('rect')
+                        .attr('class', 'square')
+                        .attr('x', width)
+                        .attr('y', d => d.row * (squareSize + 0.5))
+                        .attr('width', squareSize)
+                        .attr('height', squareSize)
+                        .attr('rx', 1)
+                        .attr('fill', squareColor)
+                        .style('cursor', 'pointer')
+                        .on('click', (event, d) => showWordDetail(d.details))
+                        .on('mouseover', (event, d) => showTooltip(d, categoryIndex))
+                        .on('mouseout', () => svg.selectAll('.tooltip').remove())
+                        .call(enter => enter.transition()
+                            .delay(d => (enterOrder.get(d.key) || 0) * stagger)
+                            .duration(uiConfig.transitions.duration)
+                            .attr('x', d => d.col * (squareSize + 0.5))),
+                    // Squares caught leaving are brought back, ones still sliding in carry on
+                    update => update.attr('fill', squareColor)
+                        .call(update => update.filter('.leaving')
+                            .classed('leaving', false)
+                            .interrupt()
+                            .style('opacity', 1)
+                            .attr('x', d => d.col * (squareSize + 0.5))),
+                    exit => exit.classed('leaving', true)
+                        .transition()
+                        .duration(uiConfig.transitions.duration)
+                        .attr('x', width)
+                        .style('opacity', 0)
+                        .remove()
+                );
+        });
+    }
+
+    // Word details next to a square
+    function showTooltip(wordData, categoryIndex) {
+        const tooltip = svg.append('g')
+            .attr('class', 'tooltip')
+            .attr('transform', `translate(${wordData.col * (squareSize + 0.5) + squareSize + 5},
+                ${categoryIndex * categorySpacing + wordData.row * (squareSize + 0.5)})`);
+
+        const metric = encodings[encoding].value ? encodings[encoding].value(wordData) : undefined;
+
+        tooltip.append('rect')
+            .attr('width', 180)
+            .attr('height', metric === undefined ? 40 : 54)
+            .attr('rx', 3)
+            .attr('fill', 'white')
+            .attr('stroke', '#ccc');
+
+        tooltip.append('text')
+            .attr('x', 4)
+            .attr('y', 12)
+            .style('font-size', '10px')
+            .style('font-weight', 'bold')
+            .text(`${wordData.word} (${wordData.english})`);
+
+        tooltip.append('text')
+            .attr('x', 4)
+            .attr('y', 28)
+            .style('font-size', '10px')
+            .text(`First reviewed: ${formatDate(wordData.date)}`);
+
+        if (metric !== undefined) {
+            tooltip.append('text')
+                .attr('x', 4)
+                .attr('y', 44)
+                .style('font-size', '10px')
+                .text(`${encodings[encoding].label}: ${metric === null ? encodings[encoding].missing || 'n/a' : encodings[encoding].format(metric)}`);
         }
+    }
 
-        // Create squares with animation
-        newWords.forEach((wordData, i) => {
-            const category = wordData.category;
-            const categoryIndex = categoryData.findIndex(d => d.category === category);
-            const wordIndex = categoryData[categoryIndex].words.findIndex(w => w.word === wordData.word);
-            
-            const col = Math.floor(wordIndex / squaresPerColumn);
-            const row = wordIndex % squaresPerColumn;
-
-            setTimeout(() => {
-                const square = categoryGroups.filter(d => d.category === category)
-                    .append('rect')
-                    .attr('class', 'square')
-                    .attr('x', width)
-                    .attr('y', row * (squareSize + 0.5))
-                    .attr('width', squareSize)
-                    .attr('height', squareSize)
-                    .attr('rx', 1)
-                    .attr('fill', colors.pos[wordData.pos]);
-
-                square.transition()
-                    .duration(uiConfig.transitions.duration)
-                    .attr('x', col * (squareSize + 0.5));
-
-                // Add tooltip interaction
-                square.on('mouseover', function(event) {
-                    const tooltip = svg.append('g')
-                        .attr('class', 'tooltip')
-                        .attr('transform', `translate(${col * (squareSize + 0.5) + squareSize + 5},
-                            ${categoryIndex * categorySpacing + row * (squareSize + 0.5)})`);
-
-                    tooltip.append('rect')
-                        .attr('width', 180)
-                        .attr('height', 40)
-                        .attr('rx', 3)
-                        .attr('fill', 'white')
-                        .attr('stroke', '#ccc');
-
-                    tooltip.append('text')
-                        .attr('x', 4)
-                        .attr('y', 12)
-                        .style('font-size', '10px')
-                        .style('font-weight', 'bold')
-                        .text(`${wordData.word} (${wordData.english})`);
-
-                    tooltip.append('text')
-                        .attr('x', 4)
-                        .attr('y', 28)
-                        .style('font-size', '10px')
-                        .text(`First reviewed: ${uiConfig.dateFormat(wordData.date)}`);
-                })
-                .on('mouseout', function() {
-                    svg.selectAll('.tooltip').remove();
-                });
-            }, i * uiConfig.transitions.delay);
-        });
+    // Category totals once the last milestone is reached
+    function renderTotals(week) {
+        const showTotals = week >= lastMilestoneWeek;
+
+        categoryGroups.selectAll('.total-count')
+            .data(d => showTotals ? [d] : [])
+            .join(
+                enter => enter.append('text')
+                    .attr('class', 'total-count')
+                    .attr('x', d => d.words.length*1.5 + squareSize + 10)
+                    .attr('y', 16)
+                    .attr('dy', '0.35em')
+                    .style('font-size', '18px')
+                    .style('font-weight', 'bold')
+                    .style('opacity', 0)
+                    .text(d => `${d.words.length}`)
+                    .call(enter => enter.transition()
+                        .delay(uiConfig.transitions.duration * 3)
+                        .duration(1000)
+                        .style('opacity', 1)),
+                update => update,
+                exit => exit.remove()
+            );
+    }
+
+    // =========== TIMELINE STATE ===========
+    // One state per week, with the milestones as stops
+    // - Every state draws its whole week, so jumps skip the weeks in between
+    // - The annotation shows the latest milestone reached
+    // - Buttons dim at either end
+    function milestoneAt(week) {
+        return d3.greatest(milestones.filter(d => d.week <= week), d => d.week) || milestones[0];
+    }
+
+    const machine = createStepMachine(d3.range(weekCount + 1).map(week => ({
+        enter: () => {
+            renderSquares(week);
+            renderTotals(week);
+        }
+    })), {
+        jump: true,
+        stops: milestoneWeeks,
+        delay: uiConfig.transitions.duration,
+        onChange: week => {
+            currentWeek = week;
+
+            const milestone = milestoneAt(week);
+            weekAnnotation.text(milestone ? milestone.description : '');
+            timelineHandle.attr('cx', weekScale(week));
+            timelineProgress.attr('x2', weekScale(week));
+            timelineLabel.text(`Week ${week} of ${weekCount}`);
+
+            backButton.style('opacity', week > 0 ? 1 : 0.5);
+            nextButton.style('opacity', machine.hasNext() ? 1 : 0.5);
+
+            reportState();
+        },
+        // Play the vocabulary growth one week at a time
+        onPlayingChange: playing => {
+            playButton.select('text').text(playing ? '❚❚ Pause' : '▶ Play');
+        }
+    });
+
+    // Link the week and encoding, leaving defaults out
+    function reportState() {
+        const linked = {};
+        if (currentWeek > 0) linked.week = currentWeek;
+        if (encoding !== 'pos') linked.color = encoding;
+        onStateChange(linked);
     }
 
 // =========== INITIALIZATION ===========
     // Setup initial state and event handlers
-    let currentMilestoneIndex = 0;
-    weekAnnotation.text(milestoneConfig.descriptions[0]);
+    // - A linked week and encoding are restored
+    setEncoding(encoding);
+    machine.goTo(Number.isInteger(Number(state.week)) ? Number(state.week) : 0);
 
     nextButton.on('click', () => {
-        if (currentMilestoneIndex < milestoneConfig.weeks.length - 1) {
-            const startWeek = milestoneConfig.weeks[currentMilestoneIndex];
-            currentMilestoneIndex++;
-            const endWeek = milestoneConfig.weeks[currentMilestoneIndex];
-            
-            weekAnnotation.text(milestoneConfig.descriptions[endWeek]);
-            showNewWords(startWeek, endWeek);
-
-            // Update button state
-            if (currentMilestoneIndex === milestoneConfig.weeks.length - 1) {
-                nextButton.style('opacity', 0.5)
-                    .style('pointer-events', 'none');
-
-                categoryGroups.each(function(d, i) {
-                    // Get category data from vocabData map
-                    const categoryWords = vocabData.get(d.category).words;
-                        
-                        // add the total to the end
-                        d3.select(this)
-                            .append('text')
-                            .attr('class', 'total-count')
-                            .attr('x', categoryWords.length*1.5 + squareSize + 10)
-                            .attr('y',  (d, i) => i * categorySpacing+16)
-                            .attr('dy', '0.35em')
-                            .style('font-size', '18px')
-                            .style('font-weight', 'bold')
-                            .style('opacity', 0)
-                            .text(`${categoryWords.length}`)
-                            .transition()
-                            .delay(4500)
-                            .duration(1000)
-                            .style('opacity', 1);
-                    
-                });
-            }
-        }
+        machine.stop();
+        machine.next();
+    });
+
+    backButton.on('click', () => {
+        machine.stop();
+        if (!machine.prev()) machine.goTo(0);
     });
+
+    playButton.on('click', () => machine.playing() ? machine.stop() : machine.play());
+
+    // Scrolling through the step scrubs the timeline both ways,
+    // and presentation mode moves one milestone per key press
+    // - The last milestone is reached a little before the end of the step
+    bindStoryEvents(visContainer, machine, {
+        progressToIndex: progress => Math.round(Math.min(1, progress / 0.9) * lastMilestoneWeek)
+    });
+
+    // Stop playback when the chart goes away
+    return () => {
+        machine.stop();
+    };
 }
@@ -0,0 +1,163 @@
+// =========== WORD DETAIL PANEL ===========
+// Shared panel with one word's full review history
+// - Opened by clicking a word in any chart
+// - Strip plot of every review: interval line above, one mark per review below
+// - Table with each review's date, result, interval, time and agreement
+// - One panel at a time, replaced when another word is opened
+import { posMap, categoryMap, cardStateMap } from './cellconfig.js';
+import { formatInterval } from './dataModel.js';
+import { formatDate } from './timeZones.js';
+
+const GOOD_COLOR = '#59a14f';
+const BAD_COLOR = '#e15759';
+
+// =========== STRIP PLOT ===========
+// Reviews along a time axis
+// - Line: interval set by each review (symlog, learning steps stay visible)
+// - Marks: color is the result, size the review time, hollow when the
+//   suggested interval was not accepted
+function drawReviewStrip(container, reviews) {
+    const margin = { top: 10, right: 12, bottom: 24, left: 44 };
+    const width = 400 - margin.left - margin.right;
+    const height = 130 - margin.top - margin.bottom;
+    const lineHeight = 62;
+
+    const svg = container.append('svg')
+        .attr('class', 'word-detail-strip')
+        .attr('width', width + margin.left + margin.right)
+        .attr('height', height + margin.top + margin.bottom)
+        .append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const [first, last] = d3.extent(reviews, d => d.date);
+    const xScale = d3.scaleTime()
+        .domain(first.getTime() === last.getTime()
+            ? [d3.timeDay.offset(first, -1), d3.timeDay.offset(last, 1)]
+            : [first, last])
+        .range([0, width])
+        .nice();
+
+    const intervalScale = d3.scaleSymlog()
+        .domain([0, Math.max(1, d3.max(reviews, d => d.intervalDays))])
+        .range([lineHeight, 0]);
+
+    const sizeScale = d3.scaleSqrt()
+        .domain([0, Math.max(1, d3.max(reviews, d => d.reviewTime))])
+        .range([2, 8]);
+
+    // Interval line
+    svg.append('g')
+        .call(d3.axisLeft(intervalScale)
+            .ticks(3)
+            .tickFormat(d => `${d}d`))
+        .call(g => g.select('.domain').attr('stroke', '#ccc'))
+        .style('font-size', '9px');
+
+    svg.append('path')
+        .datum(reviews)
+        .attr('fill', 'none')
+        .attr('stroke', '#6b7280')
+        .attr('stroke-width', 1.5)
+        .attr('d', d3.line()
+            .curve(d3.curveStepAfter)
+            .x(d => xScale(d.date))
+            .y(d => intervalScale(d.intervalDays)));
+
+    // Review marks
+    const stripY = lineHeight + 18;
+
+    svg.append('line')
+        .attr('x2', width)
+        .attr('y1', stripY)
+        .attr('y2', stripY)
+        .attr('stroke', '#e2e8f0');
+
+    svg.selectAll('.review-mark')
+        .data(reviews)
+        .join('circle')
+        .attr('class', 'review-mark')
+        .attr('cx', d => xScale(d.date))
+        .attr('cy', stripY)
+        .attr('r', d => sizeScale(d.reviewTime))
+        .attr('fill', d => d.agree === 'yes' ? (d.score === 'good' ? GOOD_COLOR : BAD_COLOR) : 'white')
+        .attr('stroke', d => d.score === 'good' ? GOOD_COLOR : BAD_COLOR)
+        .attr('stroke-width', 1.5)
+        .attr('fill-opacity', 0.8)
+        .append('title')
+        .text(d => `${formatDate(d.date)}: ${d.score}, next in ${formatInterval(d.intervalDays)}, ${d.reviewTime}s`);
+
+    svg.append('g')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(xScale).ticks(4))
+        .call(g => g.select('.domain').attr('stroke', '#ccc'))
+        .style('font-size', '9px');
+}
+
+// =========== PUBLIC API ===========
+// Open the panel for a word from the shared review model
+export function showWordDetail(word) {
+    hideWordDetail();
+    if (!word || !word.reviews || !word.reviews.length) return;
+
+    const panel = d3.select('body')
+        .append('div')
+        .attr('class', 'word-detail');
+
+    const header = panel.append('div')
+        .attr('class', 'word-detail-header');
+
+    header.append('strong')
+        .attr('class', 'word-detail-title')
+        .text(word.jpn);
+
+    header.append('button')
+        .attr('class', 'word-detail-close')
+        .attr('aria-label', 'Close word details')
+        .html('&times;')
+        .on('click', hideWordDetail);
+
+    panel.append('div')
+        .attr('class', 'word-detail-gloss')
+        .text(word.eng);
+
+    panel.append('div')
+        .attr('class', 'word-detail-meta')
+        .text(`${posMap.labels[word.partOS] || word.partOS} · ${categoryMap.names[word.category] || word.category}`);
+
+    panel.append('div')
+        .attr('class', 'word-detail-meta')
+        .text(`${word.reviews.length} reviews (${word.goodReviews} good, ${word.badReviews} bad) since ${formatDate(word.firstReview)}`);
+
+    drawReviewStrip(panel, word.reviews);
+
+    const table = panel.append('div')
+        .attr('class', 'word-detail-table')
+        .append('table');
+
+    table.append('thead')
+        .append('tr')
+        .selectAll('th')
+        .data(['Date', 'Result', 'State', 'Next Interval', 'Time', 'Agreed'])
+        .join('th')
+        .text(d => d);
+
+    table.append('tbody')
+        .selectAll('tr')
+        .data(word.reviews)
+        .join('tr')
+        .selectAll('td')
+        .data(d => [
+            formatDate(d.date),
+            d.score === 'good' ? 'Good' : 'Bad',
+            cardStateMap.labels[d.state] || d.state,
+            formatInterval(d.intervalDays),
+            `${d.reviewTime}s`,
+            d.agree === 'yes' ? 'Yes' : 'No'
+        ])
+        .join('td')
+        .text(d => d);
+}
+
+export function hideWordDetail() {
+    d3.selectAll('.word-detail').remove();
+}
@@ -0,0 +1,71 @@
+// =========== WORD LIST EXPORT ===========
+// Save a list of words for use outside the visualization
+// - CSV with each word's review numbers, for spreadsheets
+// - Tab-separated notes Anki can import: Japanese, English, then tags
+// - Tags name the category and part of speech, so a remedial deck can be sorted
+import { posMap, categoryMap } from './cellconfig.js';
+import { dayKey } from './timeZones.js';
+
+// Anki tags cannot contain spaces
+function tag(prefix, label) {
+    return `${prefix}::${String(label).trim().replace(/\s+/g, '_')}`;
+}
+
+// Spreadsheets run cells starting with these characters as formulas
+// - A leading apostrophe makes them plain text
+function csvText(text) {
+    const value = String(text ?? '');
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+// Tabs and line breaks would start a new field or note
+function ankiField(text) {
+    return String(text ?? '').replace(/[\t\r\n]+/g, ' ');
+}
+
+// =========== FORMATS ===========
+// words are rows of the word performance chart, in rank order
+// - firstRank is the rank of the first word, when the top words are hidden
+// - The CSV starts with a byte order mark so spreadsheets read the Japanese as UTF-8
+// - Japanese and English are free text, so they are guarded against formulas
+export function wordsToCsv(words, { firstRank = 1 } = {}) {
+    return '\ufeff' + d3.csvFormat(words.map((d, i) => ({
+        rank: firstRank + i,
+        jpn: csvText(d.jpn),
+        eng: csvText(d.eng),
+        partOS: posMap.labels[d.partOS] || d.partOS,
+        category: categoryMap.names[d.category] || d.category,
+        goodReviews: d.goodReviews,
+        badReviews: d.badReviews,
+        totalReviews: d.totalReviews,
+        successRate: Math.round(d.successRate),
+        firstReview: dayKey(d.firstReview)
+    })));
+}
+
+export function wordsToAnkiText(words) {
+    const header = ['#separator:tab', '#html:false', '#tags column:3'];
+    const notes = words.map(d => [
+        ankiField(d.jpn),
+        ankiField(d.eng),
+        [
+            tag('category', categoryMap.names[d.category] || d.category),
+            tag('pos', posMap.labels[d.partOS] || d.partOS)
+        ].join(' ')
+    ].join('\t'));
+
+    return [...header, ...notes].join('\n') + '\n';
+}
+
+// =========== DOWNLOAD ===========
+// Hand text to the browser as a file download
+export function downloadText(filename, text, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -3,9 +3,15 @@
 // - Colors and UI configuration
 // - Part of speech mappings
 // - Legend settings
-import { colors, posMap, legendConfig, uiConfig } from './cellconfig.js';
-
-export function createWordPerformanceChart(visContainer, rawData) {
+import { colors, posMap, categoryMap, cardStateMap, legendConfig, uiConfig } from './cellconfig.js';
+import { showWordDetail } from './wordDetail.js';
+import { cardStateAfter } from './dataModel.js';
+import { dayKey } from './timeZones.js';
+import { rankings, rankingContext, wilsonInterval, confidenceLevel } from './ranking.js';
+import { createCanvasTextLayer } from './canvasTextLayer.js';
+import { wordsToCsv, wordsToAnkiText, downloadText } from './wordExport.js';
+
+export function createWordPerformanceChart(visContainer, reviewData, { state = {}, onStateChange = () => {}, config = {} } = {}) {
     // =========== CONSTANTS & SETUP ===========
     // Define visualization dimensions and layout
     // - Set margins for chart area
@@ -21,7 +27,8 @@ export function createWordPerformanceChart(visContainer, rawData) {
         'adj': colors.pos.adj,
         'adv': colors.pos.adv,
         'verbial noun': colors.pos['verbial noun'],
-        'phrase': colors.pos.phrase
+        'phrase': colors.pos.phrase,
+        'other': colors.pos.other
     };
 
     // =========== STATE MANAGEMENT ===========
@@ -29,46 +36,97 @@ export function createWordPerformanceChart(visContainer, rawData) {
     // - Display count for visible words
     // - Hidden word count
     // - View mode (combined/separated)
-    // - Category filters
-    let displayCount = 20;
-    let hideTopCount = 0;
-    let isCombined = false;
-    let selectedCategories = new Set(Array.from(new Set(rawData.map(d => d.category))));
+    // - Ranking metric, raw success rate unless the story picks another
+    // - Search text
+    // - Filters: category, part of speech and card state sets,
+    //   total review range and first review day range
+    // - Linked state from the URL overrides the defaults
+    function parseCount(value, fallback) {
+        const count = parseInt(value, 10);
+        return Number.isInteger(count) && count >= 0 ? count : fallback;
+    }
+
+    function parseDay(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '';
+    }
+
+    // Ranges entered the wrong way round are swapped, rather than matching no words
+    function orderedRange(low, high, empty) {
+        return low !== empty && high !== empty && low > high ? [high, low] : [low, high];
+    }
+
+    // Set filters start with every value, linked lists narrow them down
+    // - An empty list would be left out of the URL, so nothing selected links as 'none'
+    const NONE_SELECTED = 'none';
+
+    function linkedSet(values, linked) {
+        if (!linked) return new Set(values);
+        if (linked === NONE_SELECTED) return new Set();
+        const kept = linked.split(',');
+        return new Set(values.filter(d => kept.includes(d)));
+    }
+
+    // Card state each word is left in, in the order of cardStateMap
+    const wordStates = new Map(reviewData.words.map(word => [word, cardStateAfter(word)]));
+    const categories = Array.from(new Set(reviewData.words.map(d => d.category)));
+    const partsOfSpeech = Array.from(new Set(reviewData.words.map(d => d.partOS)));
+    const cardStates = Object.keys(cardStateMap.labels)
+        .filter(d => Array.from(wordStates.values()).includes(d));
+
+    let displayCount = parseCount(state.show, 20);
+    let hideTopCount = parseCount(state.hide, 0);
+    let isCombined = state.combined === '1';
+    const defaultRank = Object.hasOwn(rankings, config.ranking) ? config.ranking : 'raw';
+    let rankKey = Object.hasOwn(rankings, state.rank) ? state.rank : defaultRank;
+    let searchText = state.search || '';
+    let selectedCategories = linkedSet(categories, state.categories);
+    let selectedPos = linkedSet(partsOfSpeech, state.pos);
+    let selectedStates = linkedSet(cardStates, state.states);
+    let [minReviews, maxReviews] = orderedRange(parseCount(state.min, null), parseCount(state.max, null), null);
+    let [fromDay, toDay] = orderedRange(parseDay(state.from), parseDay(state.to), '');
 
     // =========== DATA PROCESSING ===========
-    // Process raw data into visualization format
-    function processData(data) {
-        // Create word statistics map
-        const wordStats = new Map();
-        
-        // Process each review entry
-        data.forEach(d => {
-            if (!selectedCategories.has(d.category)) return;
-            
-            const key = d.jpn;
-            if (!wordStats.has(key)) {
-                wordStats.set(key, {
-                    jpn: d.jpn,
-                    eng: d.eng,
-                    partOS: d.partOS,
-                    category: d.category,
-                    goodReviews: 0,
-                    badReviews: 0,
-                    firstReview: new Date(Number(d.reviewDate - 25569) * 86400 * 1000)
-                });
-            }
-            const stat = wordStats.get(key);
-            d.score === 'good' ? stat.goodReviews++ : stat.badReviews++;
-        });
+    // Process words into visualization format
+    // - score is the ranking metric as a percentage, interval the confidence interval
+    // - Ties go to the word with more reviews
+    const context = rankingContext(reviewData);
+
+    // Whether a word passes every active filter
+    // - First review days are compared on the display clock
+    function passesFilters(word) {
+        const total = word.goodReviews + word.badReviews;
+        const day = dayKey(word.firstReview);
+
+        return selectedCategories.has(word.category)
+            && selectedPos.has(word.partOS)
+            && selectedStates.has(wordStates.get(word))
+            && (minReviews === null || total >= minReviews)
+            && (maxReviews === null || total <= maxReviews)
+            && (!fromDay || day >= fromDay)
+            && (!toDay || day <= toDay);
+    }
 
-        // Calculate success rates and sort
-        return Array.from(wordStats.values())
-            .map(stat => ({
-                ...stat,
-                totalReviews: stat.goodReviews + stat.badReviews,
-                successRate: (stat.goodReviews / (stat.goodReviews + stat.badReviews)) * 100
+    function processData(words) {
+        // Calculate success rates for the filtered words and sort
+        return words
+            .filter(passesFilters)
+            .map(word => ({
+                key: word.key,
+                jpn: word.jpn,
+                eng: word.eng,
+                partOS: word.partOS,
+                category: word.category,
+                goodReviews: word.goodReviews,
+                badReviews: word.badReviews,
+                firstReview: word.firstReview,
+                cardState: wordStates.get(word),
+                totalReviews: word.goodReviews + word.badReviews,
+                successRate: (word.goodReviews / (word.goodReviews + word.badReviews)) * 100,
+                score: rankings[rankKey].score(word, context) * 100,
+                interval: wilsonInterval(word.goodReviews, word.goodReviews + word.badReviews).map(d => d * 100),
+                word
             }))
-            .sort((a, b) => b.successRate - a.successRate);
+            .sort((a, b) => b.score - a.score || b.totalReviews - a.totalReviews);
     }
 
     // Filter data based on display settings
@@ -85,9 +143,6 @@ export function createWordPerformanceChart(visContainer, rawData) {
     const yScale = d3.scaleLinear()
         .range([height, 0]);
 
-    // Process initial data
-    const processedData = processData(rawData);
-
     // =========== SVG SETUP ===========
     // Create base SVG container
     const svg = visContainer
@@ -97,6 +152,9 @@ export function createWordPerformanceChart(visContainer, rawData) {
         .append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
 
+    // Words are drawn on a canvas over the SVG, so the whole vocabulary animates smoothly
+    const wordLayer = createCanvasTextLayer(visContainer, { width, height, margin });
+
     // =========== CONTROLS ===========
     // Add control container with consistent styling
     const controlsContainer = visContainer
@@ -168,7 +226,7 @@ export function createWordPerformanceChart(visContainer, rawData) {
         .style('color', 'white')
         .style('cursor', 'pointer')
         .style('font-size', '14px')
-        .text('Combine Parts of Speech')
+        .text(isCombined ? 'Separate Parts of Speech' : 'Combine Parts of Speech')
         .on('click', () => {
             isCombined = !isCombined;
             viewToggle.text(isCombined ? 'Separate Parts of Speech' : 'Combine Parts of Speech');
@@ -177,23 +235,44 @@ export function createWordPerformanceChart(visContainer, rawData) {
 
     // Create input controls
     createInputGroup('Show Top Words:', displayCount, value => displayCount = value);
-    createInputGroup('Hide Top Words:', hideTopCount, value => hideTopCount = value);
-
-    // =========== CATEGORY SELECTOR ===========
-    // Add category selection dropdown
-    const categories = Array.from(new Set(rawData.map(d => d.category)));
-    const categoryMap = {
-        'DL': 'Daily Life',
-        'PR': 'People & Relationships',
-        'PT': 'Places & Travel',
-        'AA': 'Actions & Activities',
-        'BH': 'Body & Health',
-        'TN': 'Time & Numbers',
-        'NE': 'Nature & Environment',
-        'AC': 'Abstract Concepts'
-    };
+    const hideGroup = createInputGroup('Hide Top Words:', hideTopCount, value => hideTopCount = value);
+
+    // Add ranking selector
+    const rankGroup = controlsContainer
+        .append('div')
+        .style('background-color', colors.pos.verb)
+        .style('padding', '6px 12px')
+        .style('border-radius', '4px')
+        .style('display', 'flex')
+        .style('align-items', 'center')
+        .style('gap', '8px');
 
-    // Create select container
+    rankGroup.append('span')
+        .text('Rank By:')
+        .style('color', 'white')
+        .style('font-size', '14px');
+
+    rankGroup.append('select')
+        .style('height', '24px')
+        .style('border', 'none')
+        .style('border-radius', '2px')
+        .style('font-size', '14px')
+        .on('change', function() {
+            rankKey = this.value;
+            updateVis(true);
+        })
+        .selectAll('option')
+        .data(Object.keys(rankings))
+        .join('option')
+        .attr('value', d => d)
+        .property('selected', d => d === rankKey)
+        .text(d => rankings[d].label);
+
+    // =========== FILTERS ===========
+    // Dropdown with every filter, grouped into sections
+    // - Checkbox lists for category, part of speech and card state
+    // - Number inputs for the review count range, date inputs for the first review
+    // - Inputs are kept in sync when a chip clears a filter
     const selectContainer = controlsContainer
         .append('div')
         .style('position', 'relative')
@@ -214,7 +293,7 @@ export function createWordPerformanceChart(visContainer, rawData) {
         .style('gap', '10px');
 
     selectButton.append('span')
-        .text('Categories');
+        .text('Filters');
 
     selectButton.append('span')
         .html('▲')
@@ -226,7 +305,7 @@ export function createWordPerformanceChart(visContainer, rawData) {
         .style('position', 'absolute')
         .style('bottom', 'calc(100% + 4px)')
         .style('left', '0')
-        .style('right', '0')
+        .style('min-width', '260px')
         .style('background-color', 'white')
         .style('border', '1px solid #ddd')
         .style('font-size', '14px')
@@ -234,49 +313,112 @@ export function createWordPerformanceChart(visContainer, rawData) {
         .style('margin-bottom', '4px')
         .style('display', 'none')
         .style('z-index', '1000')
-        .style('max-height', '300px')
+        .style('max-height', '400px')
         .style('overflow-y', 'auto');
 
-    // Add category options
-    categories.forEach(category => {
-        const option = dropdown
-            .append('div')
-            .style('padding', '8px 12px')
-            .style('cursor', 'pointer')
+    function addSectionTitle(title) {
+        dropdown.append('div')
+            .style('padding', '8px 12px 4px')
+            .style('color', colors.ui.darkGrey)
+            .style('font-size', '12px')
+            .style('font-weight', 'bold')
+            .text(title);
+    }
+
+    // Add one checkbox per value of a set filter
+    function addCheckboxSection(title, values, labelOf, getSelected) {
+        addSectionTitle(title);
+
+        values.forEach(value => {
+            const option = dropdown
+                .append('div')
+                .style('padding', '6px 12px')
+                .style('cursor', 'pointer')
+                .style('color', '#333')
+                .style('display', 'flex')
+                .style('align-items', 'center')
+                .style('gap', '8px');
+
+            // Add checkbox
+            option.append('input')
+                .attr('type', 'checkbox')
+                .attr('class', 'filter-checkbox')
+                .datum({ value, getSelected })
+                .property('checked', getSelected().has(value))
+                .on('change', function() {
+                    const isChecked = d3.select(this).property('checked');
+                    if (isChecked) {
+                        getSelected().add(value);
+                    } else {
+                        getSelected().delete(value);
+                    }
+                    updateVis(true);
+                });
+
+            // Add label
+            option.append('span')
+                .text(labelOf(value));
+
+            // Add hover effect
+            option
+                .on('mouseover', function() {
+                    d3.select(this).style('background-color', '#f0f0f0');
+                })
+                .on('mouseout', function() {
+                    d3.select(this).style('background-color', 'white');
+                });
+        });
+    }
+
+    // Add a from/to pair of inputs for a range filter
+    function addRangeSection(title, type, getRange, setRange) {
+        addSectionTitle(title);
+
+        const row = dropdown.append('div')
+            .style('padding', '4px 12px 8px')
             .style('color', '#333')
             .style('display', 'flex')
             .style('align-items', 'center')
-            .style('gap', '8px');
-
-        // Add checkbox
-        const checkbox = option
-            .append('input')
-            .attr('type', 'checkbox')
-            .property('checked', true)
-            .on('change', function() {
-                const isChecked = d3.select(this).property('checked');
-                if (isChecked) {
-                    selectedCategories.add(category);
-                } else {
-                    selectedCategories.delete(category);
-                }
-                updateVis(true);
-            });
-
-        // Add category label
-        option.append('span')
-            .text(categoryMap[category] || category);
+            .style('gap', '6px');
+
+        ['from', 'to'].forEach((end, i) => {
+            if (i) row.append('span').text('to');
+
+            row.append('input')
+                .attr('type', type)
+                .attr('class', 'filter-range')
+                .attr('aria-label', `${title} ${end}`)
+                .datum({ end, getRange })
+                .property('value', getRange()[i] ?? '')
+                .style('width', type === 'number' ? '60px' : '130px')
+                .style('font-size', '13px')
+                .on('change', function() {
+                    const range = getRange().slice();
+                    range[i] = this.value === '' ? null : this.value;
+                    setRange(range);
+                    syncFilterInputs();
+                    updateVis(true);
+                });
+        });
+    }
 
-        // Add hover effect
-        option
-            .on('mouseover', function() {
-                d3.select(this).style('background-color', '#f0f0f0');
-            })
-            .on('mouseout', function() {
-                d3.select(this).style('background-color', 'white');
-            });
+    addCheckboxSection('Category', categories, d => categoryMap.names[d] || d, () => selectedCategories);
+    addCheckboxSection('Part of Speech', partsOfSpeech, d => posMap.labels[d] || d, () => selectedPos);
+    addCheckboxSection('Card State', cardStates, d => cardStateMap.labels[d] || d, () => selectedStates);
+    addRangeSection('Total Reviews', 'number', () => [minReviews, maxReviews], ([min, max]) => {
+        [minReviews, maxReviews] = orderedRange(parseCount(min, null), parseCount(max, null), null);
+    });
+    addRangeSection('First Reviewed', 'date', () => [fromDay, toDay], ([from, to]) => {
+        [fromDay, toDay] = orderedRange(parseDay(from), parseDay(to), '');
     });
 
+    function syncFilterInputs() {
+        dropdown.selectAll('.filter-checkbox')
+            .property('checked', d => d.getSelected().has(d.value));
+        dropdown.selectAll('.filter-range')
+            .property('value', d => d.getRange()[d.end === 'from' ? 0 : 1] ?? '');
+    }
+
     // Add dropdown toggle
     selectButton.on('click', () => {
         const isVisible = dropdown.style('display') !== 'none';
@@ -284,12 +426,263 @@ export function createWordPerformanceChart(visContainer, rawData) {
     });
 
     // Close dropdown on outside click
-    d3.select('body').on('click', function(event) {
+    // - Namespaced so the cleanup below removes only this chart's handler
+    d3.select('body').on('click.wordPerformance', function(event) {
         if (!selectContainer.node().contains(event.target)) {
             dropdown.style('display', 'none');
         }
     });
 
+    // =========== FILTER CHIPS ===========
+    // One removable chip per active filter, above the chart
+    const chipContainer = visContainer
+        .append('div')
+        .attr('class', 'filter-chips')
+        .style('position', 'absolute')
+        .style('top', '10px')
+        .style('left', `${margin.left}px`)
+        .style('right', `${margin.right}px`)
+        .style('display', 'flex')
+        .style('flex-wrap', 'wrap')
+        .style('gap', '6px')
+        .style('font-family', 'Roboto, sans-serif');
+
+    // Describe a set filter by what it keeps
+    function describeSet(selected, values, labelOf) {
+        if (!selected.size) return 'none';
+        const kept = values.filter(d => selected.has(d));
+        return kept.length > 3
+            ? `${kept.length} of ${values.length}`
+            : kept.map(labelOf).join(', ');
+    }
+
+    function describeRange(from, to, format) {
+        if (from !== null && to !== null) return `${format(from)}–${format(to)}`;
+        return from !== null ? `from ${format(from)}` : `up to ${format(to)}`;
+    }
+
+    function activeFilters() {
+        const filters = [];
+        const formatDay = day => uiConfig.dateFormat(d3.timeParse('%Y-%m-%d')(day));
+
+        if (selectedCategories.size !== categories.length) {
+            filters.push({
+                label: `Category: ${describeSet(selectedCategories, categories, d => categoryMap.names[d] || d)}`,
+                clear: () => selectedCategories = new Set(categories)
+            });
+        }
+        if (selectedPos.size !== partsOfSpeech.length) {
+            filters.push({
+                label: `Part of Speech: ${describeSet(selectedPos, partsOfSpeech, d => posMap.labels[d] || d)}`,
+                clear: () => selectedPos = new Set(partsOfSpeech)
+            });
+        }
+        if (selectedStates.size !== cardStates.length) {
+            filters.push({
+                label: `Card State: ${describeSet(selectedStates, cardStates, d => cardStateMap.labels[d] || d)}`,
+                clear: () => selectedStates = new Set(cardStates)
+            });
+        }
+        if (minReviews !== null || maxReviews !== null) {
+            filters.push({
+                label: `Reviews: ${describeRange(minReviews, maxReviews, d => d)}`,
+                clear: () => minReviews = maxReviews = null
+            });
+        }
+        if (fromDay || toDay) {
+            filters.push({
+                label: `First Reviewed: ${describeRange(fromDay || null, toDay || null, formatDay)}`,
+                clear: () => fromDay = toDay = ''
+            });
+        }
+        return filters;
+    }
+
+    function renderChips() {
+        chipContainer.selectAll('*').remove();
+
+        activeFilters().forEach(filter => {
+            const chip = chipContainer.append('span')
+                .attr('class', 'filter-chip')
+                .style('display', 'inline-flex')
+                .style('align-items', 'center')
+                .style('gap', '4px')
+                .style('background-color', colors.ui.lightGrey)
+                .style('color', '#333')
+                .style('border-radius', '12px')
+                .style('padding', '2px 4px 2px 10px')
+                .style('font-size', '12px');
+
+            chip.append('span')
+                .text(filter.label);
+
+            chip.append('button')
+                .attr('aria-label', `Remove filter ${filter.label}`)
+                .style('background', 'none')
+                .style('border', 'none')
+                .style('cursor', 'pointer')
+                .style('color', colors.ui.darkGrey)
+                .style('font-size', '14px')
+                .html('&times;')
+                .on('click', () => {
+                    filter.clear();
+                    syncFilterInputs();
+                    updateVis(true);
+                });
+        });
+    }
+
+    // =========== SEARCH ===========
+    // Find words by Japanese text or English gloss
+    // - Katakana and hiragana match each other, English ignores case
+    // - Typing is debounced, then the rank window moves to the first match
+    // - Enter moves to the next match, shifting the rank window to show it
+    // - Matching reuses the ranking from the last redraw, so keystrokes only restyle words
+    const SEARCH_DELAY = 200;
+
+    function normalizeText(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[\u30a1-\u30f6]/g, d => String.fromCharCode(d.charCodeAt(0) - 0x60))
+            .trim();
+    }
+
+    function matchesSearch(d) {
+        const query = normalizeText(searchText);
+        return query !== '' && (normalizeText(d.jpn).includes(query) || normalizeText(d.eng).includes(query));
+    }
+
+    const searchGroup = controlsContainer
+        .append('div')
+        .style('background-color', colors.pos.verb)
+        .style('padding', '6px 12px')
+        .style('border-radius', '4px')
+        .style('display', 'flex')
+        .style('align-items', 'center')
+        .style('gap', '8px');
+
+    const searchInput = searchGroup.append('input')
+        .attr('type', 'search')
+        .attr('placeholder', 'Find a word')
+        .attr('aria-label', 'Find a word')
+        .property('value', searchText)
+        .style('width', '110px')
+        .style('height', '24px')
+        .style('border', 'none')
+        .style('border-radius', '2px')
+        .style('padding', '0 8px')
+        .style('font-size', '14px')
+        .style('outline', 'none');
+
+    const searchStatus = searchGroup.append('span')
+        .style('color', 'white')
+        .style('font-size', '12px')
+        .style('white-space', 'nowrap');
+
+    // Match last jumped to, and the words ranked at the last redraw
+    let currentMatch = null;
+    let rankedWords = [];
+    let searchTimer = null;
+
+    function applySearch(text) {
+        clearTimeout(searchTimer);
+        searchText = text;
+        currentMatch = null;
+        showNextMatch();
+        reportState();
+    }
+
+    searchInput
+        .on('input', function() {
+            const text = this.value;
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => applySearch(text), SEARCH_DELAY);
+        })
+        .on('keydown', function(event) {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            if (this.value !== searchText) applySearch(this.value);
+            else showNextMatch();
+        });
+
+    // Move the rank window so the next match is inside it
+    function showNextMatch() {
+        const ranks = new Map(rankedWords.map((d, i) => [d.key, i]));
+        const matches = rankedWords.filter(matchesSearch);
+        if (!matches.length) {
+            updateHighlight();
+            return;
+        }
+
+        const currentRank = ranks.has(currentMatch) ? ranks.get(currentMatch) : -1;
+        const next = matches.find(d => ranks.get(d.key) > currentRank) || matches[0];
+        const rank = ranks.get(next.key);
+        currentMatch = next.key;
+
+        if (rank < hideTopCount || rank >= hideTopCount + displayCount) {
+            hideTopCount = Math.max(0, rank - Math.floor(displayCount / 2));
+            hideGroup.select('input').property('value', hideTopCount);
+            updateVis(true);
+        } else {
+            updateHighlight();
+        }
+    }
+
+    // Emphasize matches, drawn above everything else, and fade the rest
+    function updateHighlight() {
+        const matches = new Set(rankedWords.filter(matchesSearch).map(d => d.key));
+        const searching = searchText.trim() !== '';
+
+        wordLayer.style(d => ({
+            fontSize: d.key === currentMatch ? 18 : 12,
+            fontWeight: matches.has(d.key) ? 'bold' : 'normal',
+            opacity: !searching || matches.has(d.key) ? 1 : 0.2,
+            raise: matches.has(d.key)
+        }));
+
+        searchStatus.text(searching
+            ? `${matches.size} match${matches.size === 1 ? '' : 'es'}`
+            : '');
+    }
+
+    // =========== EXPORT ===========
+    // Download the words currently shown, after filters and the rank window
+    // - CSV for spreadsheets, tab-separated text for an Anki import
+    const exportGroup = controlsContainer
+        .append('div')
+        .style('background-color', colors.pos.verb)
+        .style('padding', '6px 12px')
+        .style('border-radius', '4px')
+        .style('display', 'flex')
+        .style('align-items', 'center')
+        .style('gap', '8px');
+
+    exportGroup.append('span')
+        .text('Export:')
+        .style('color', 'white')
+        .style('font-size', '14px');
+
+    [
+        { label: 'CSV', filename: 'words.csv', type: 'text/csv', format: wordsToCsv },
+        { label: 'Anki', filename: 'words-anki.txt', type: 'text/tab-separated-values', format: wordsToAnkiText }
+    ].forEach(({ label, filename, type, format }) => {
+        exportGroup.append('button')
+            .attr('class', 'export-button')
+            .attr('title', `Download the shown words as ${label === 'Anki' ? 'Anki notes' : 'CSV'}`)
+            .style('background', 'none')
+            .style('border', '1px solid white')
+            .style('border-radius', '2px')
+            .style('cursor', 'pointer')
+            .style('color', 'white')
+            .style('font-size', '12px')
+            .style('padding', '2px 6px')
+            .text(label)
+            .on('click', () => {
+                const shown = filterData(processData(reviewData.words));
+                downloadText(filename, format(shown, { firstRank: hideTopCount + 1 }), type);
+            });
+    });
+
     // =========== TOOLTIP ===========
     // Create tooltip with consistent styling
     const tooltip = d3.select('body')
@@ -311,7 +704,8 @@ export function createWordPerformanceChart(visContainer, rawData) {
     function updateVis(animate = false) {
         const duration = animate ? 750 : 0;
         svg.selectAll('.count-label').remove();
-        const displayData = filterData(processData(rawData));
+        rankedWords = processData(reviewData.words);
+        const displayData = filterData(rankedWords);
 
         if (isCombined) {
             // Combined view implementation
@@ -320,7 +714,33 @@ export function createWordPerformanceChart(visContainer, rawData) {
             // Separated view implementation
             updateSeparatedView(displayData, duration);
         }
-        updateTooltips();
+        updateHighlight();
+        renderChips();
+        reportState();
+    }
+
+    // Report filters so they can be linked to
+    // Set filters keeping every value are left out
+    function linkedList(selected, values) {
+        if (selected.size === values.length) return '';
+        return selected.size ? Array.from(selected) : NONE_SELECTED;
+    }
+
+    function reportState() {
+        onStateChange({
+            show: displayCount,
+            hide: hideTopCount,
+            combined: isCombined ? 1 : '',
+            rank: rankKey === defaultRank ? '' : rankKey,
+            search: searchText.trim(),
+            categories: linkedList(selectedCategories, categories),
+            pos: linkedList(selectedPos, partsOfSpeech),
+            states: linkedList(selectedStates, cardStates),
+            min: minReviews ?? '',
+            max: maxReviews ?? '',
+            from: fromDay,
+            to: toDay
+        });
     }
 
     // =========== COMBINED VIEW ===========
@@ -330,9 +750,9 @@ export function createWordPerformanceChart(visContainer, rawData) {
         svg.selectAll('.x-axis').remove();
         svg.selectAll('.count-label').remove();
 
-        // Calculate success rate range
-        const rawMin = d3.min(displayData, d => d.successRate);
-        const rawMax = d3.max(displayData, d => d.successRate);
+        // Calculate ranking score range
+        const rawMin = d3.min(displayData, d => d.score);
+        const rawMax = d3.max(displayData, d => d.score);
         
         let minRate, maxRate;
         if (rawMin === rawMax) {
@@ -348,7 +768,7 @@ export function createWordPerformanceChart(visContainer, rawData) {
             .range([0, width * 0.8]);
 
         const wordScale = d3.scalePoint()
-            .domain(displayData.map(d => d.jpn))
+            .domain(displayData.map(d => d.key))
             .range([0, height * 0.8])
             .padding(0.5);
 
@@ -373,37 +793,21 @@ export function createWordPerformanceChart(visContainer, rawData) {
                     .style('stroke', '#ddd');
             });
 
-        // Update words
-        const words = svg.selectAll('.word')
-            .data(displayData, d => d.jpn);
-
-        // Handle exit
-        words.exit()
-            .transition()
-            .duration(duration)
-            .style('opacity', 0)
-            .remove();
-
-        // Handle enter
-        const wordsEnter = words.enter()
-            .append('text')
-            .attr('class', 'word')
-            .style('font-size', '12px')
-            .style('opacity', 0)
-            .attr('text-anchor', 'start')
-            .attr('x', 0)
-            .attr('y', height / 2);
-
-        // Handle update + enter
-        words.merge(wordsEnter)
-            .transition()
-            .delay(500)
-            .duration(1000)
-            .style('opacity', 1)
-            .attr('x', d => successScale(d.successRate) + 75)
-            .attr('y', d => wordScale(d.jpn))
-            .text(d => d.jpn)
-            .style('fill', d => posColors[d.partOS]);
+        // Update words, entering from the left
+        wordLayer.update(displayData, {
+            key: d => d.key,
+            text: d => d.jpn,
+            target: d => ({
+                x: successScale(d.score) + 75,
+                y: wordScale(d.key),
+                color: posColors[d.partOS],
+                anchor: 'start'
+            }),
+            enterFrom: () => ({ x: 0, y: height / 2 }),
+            delay: 500,
+            duration: 1000,
+            exitDuration: duration
+        });
     }
 
     // =========== SEPARATED VIEW ===========
@@ -423,6 +827,10 @@ export function createWordPerformanceChart(visContainer, rawData) {
         const posTypes = Array.from(posCounts.keys())
             .sort((a, b) => posCounts.get(b).length - posCounts.get(a).length);
 
+        // Each word's place in its part of speech column
+        const columnIndex = new Map();
+        posCounts.forEach(words => words.forEach((d, i) => columnIndex.set(d, i)));
+
         // Create scales for separated view
         const posScale = d3.scaleBand()
             .domain(posTypes)
@@ -488,77 +896,82 @@ export function createWordPerformanceChart(visContainer, rawData) {
             .duration(500)
             .style('opacity', 1);
 
-        // Update words with animation
-        const words = svg.selectAll('.word')
-            .data(displayData, d => d.jpn);
+        // Update words with animation, entering from the center
+        wordLayer.update(displayData, {
+            key: d => d.key,
+            text: d => d.jpn,
+            target: d => ({
+                x: posScale(d.partOS) + posScale.bandwidth() / 2,
+                y: -(wordScale(columnIndex.get(d)) * 
+                    (0.6 + (displayCount / 3000) * 0.5)) + height * 0.8,
+                color: posColors[d.partOS],
+                anchor: 'middle'
+            }),
+            enterFrom: () => ({ x: width / 2, y: height / 2 }),
+            delay: 500,
+            duration: 1000,
+            exitDuration: duration
+        });
+    }
 
-        words.exit()
-            .transition()
-            .duration(duration)
-            .style('opacity', 0)
-            .remove();
+    // =========== TOOLTIP HANDLERS ===========
+    // Hit-test the word layer for tooltips and word details
+    // - Word text comes from the data, so it is set as text rather than markup
+    function renderTooltip(d) {
+        tooltip.html(`
+            <strong class="tooltip-jpn"></strong><br/>
+            <span class="tooltip-eng"></span><br/>
+            Type: ${posMap.labels[d.partOS]}<br/>
+            Card State: ${cardStateMap.labels[d.cardState]}<br/>
+            Success Rate: ${Math.round(d.successRate)}%
+            (${confidenceLevel()}% CI ${Math.round(d.interval[0])}–${Math.round(d.interval[1])}%)<br/>
+            ${rankKey === 'raw' ? '' : `${rankings[rankKey].label}: ${Math.round(d.score)}%<br/>`}
+            Good Reviews: ${d.goodReviews}<br/>
+            Bad Reviews: ${d.badReviews}<br/>
+            Total Reviews: ${d.totalReviews}
+        `);
+        tooltip.select('.tooltip-jpn').text(d.jpn);
+        tooltip.select('.tooltip-eng').text(d.eng);
+    }
 
-        const wordsEnter = words.enter()
-            .append('text')
-            .attr('class', 'word')
-            .style('font-size', '12px')
-            .style('opacity', 0)
-            .attr('text-anchor', 'middle')
-            .attr('x', width / 2)
-            .attr('y', height / 2);
+    let hovered = null;
 
-        words.merge(wordsEnter)
-            .transition()
-            .delay(500)
-            .duration(1000)
-            .style('opacity', 1)
-            .attr('x', d => {
-                const pos = d.partOS;
-                return posScale(pos) + posScale.bandwidth() / 2;
-            })
-            .attr('y', function(d) {
-                const pos = d.partOS;
-                const posWords = posCounts.get(pos);
-                const wordIndex = posWords.indexOf(d);
-                return -(wordScale(wordIndex) * 
-                    (0.6 + (displayCount / 3000) * 0.5)) + height * 0.8;
-            })
-            .text(d => d.jpn)
-            .style('fill', d => posColors[d.partOS]);
-    }
+    wordLayer.node
+        .on('mousemove', function(event) {
+            const d = wordLayer.hitTest(event);
+            wordLayer.node.style('cursor', d ? 'pointer' : null);
 
-    // =========== TOOLTIP HANDLERS ===========
-    // Add tooltip interactions to words
-    function updateTooltips() {
-        svg.selectAll('.word')
-            .on('mouseover', function(event, d) {
-                tooltip
-                    .style('visibility', 'visible')
-                    .html(`
-                        <strong>${d.jpn}</strong><br/>
-                        ${d.eng}<br/>
-                        Type: ${posMap.labels[d.partOS]}<br/>
-                        Success Rate: ${Math.round(d.successRate)}%<br/>
-                        Good Reviews: ${d.goodReviews}<br/>
-                        Bad Reviews: ${d.badReviews}<br/>
-                        Total Reviews: ${d.totalReviews}
-                    `);
-            })
-            .on('mousemove', function(event) {
-                tooltip
-                    .style('left', (event.pageX + 10) + 'px')
-                    .style('top', (event.pageY - 10) + 'px');
-            })
-            .on('mouseout', function() {
+            if (!d) {
+                hovered = null;
                 tooltip.style('visibility', 'hidden');
-            });
-    }
+                return;
+            }
+            if (d !== hovered) {
+                hovered = d;
+                renderTooltip(d);
+            }
+            tooltip
+                .style('visibility', 'visible')
+                .style('left', (event.pageX + 10) + 'px')
+                .style('top', (event.pageY - 10) + 'px');
+        })
+        .on('mouseout', function() {
+            hovered = null;
+            tooltip.style('visibility', 'hidden');
+        })
+        .on('click', function(event) {
+            const d = wordLayer.hitTest(event);
+            if (d) showWordDetail(d.word);
+        });
 
     // =========== INITIALIZATION ===========
     // Initialize visualization and add cleanup
     updateVis();
 
     return () => {
+        clearTimeout(searchTimer);
+        wordLayer.destroy();
         tooltip.remove();
+        d3.select('body').on('click.wordPerformance', null);
     };
 }